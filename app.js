@@ -0,0 +1,149 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const { ROUTE_PERMISSIONS, authorize } = require('./middleware/permissions');
+const { assignRequestId } = require('./middleware/requestId');
+const { logRequests } = require('./middleware/requestLog');
+const { collectHttpMetrics } = require('./middleware/metrics');
+const { validate } = require('./middleware/validate');
+const { ROUTE_SCHEMAS, RESOURCE_SCHEMAS } = require('./middleware/schemas');
+const { problemResponses, notFound, handleErrors } = require('./middleware/problems');
+const { loadConfig } = require('./lib/config');
+const { systemClock } = require('./lib/clock');
+const { createNotifier } = require('./lib/notifier');
+const { createMediaStorage } = require('./lib/mediaStorage');
+const { recordAudit } = require('./lib/audit');
+const { publishEvent, createWebhookDispatcher } = require('./lib/webhooks');
+const { createEventHub, recordEvent } = require('./lib/events');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { createLogger } = require('./lib/logger');
+const { createRegistry, registerProcessMetrics, registerDatabaseMetrics } = require('./lib/metrics');
+const { createHealthRoutes } = require('./routes/health');
+const { createAuthRoutes } = require('./routes/auth');
+const { createServiceRoutes } = require('./routes/services');
+const { createCategoryRoutes } = require('./routes/categories');
+const { createRequestRoutes } = require('./routes/requests');
+const { createAdminRoutes } = require('./routes/admin');
+const { version, license } = require('./package.json');
+
+// The API as an Express app, built around the dependencies it is given. Nothing here
+// connects, migrates or listens; server.js does that, and tests mount the app on their own
+// database.
+//   db        a storage adapter from db/, already migrated
+//   config    the settings from lib/config.js (default: loaded from process.env)
+//   clock     { now() } for every timestamp the app writes (see lib/clock.js)
+//   notifier  delivers account messages such as password reset codes
+//   logger    where the structured logs go (default: JSON lines on stdout at config.logLevel,
+//             see lib/logger.js)
+// Media storage and the webhook dispatcher come from config unless they are passed in too.
+// The dispatcher is not started; whoever starts it stops it.
+const createApp = ({
+    db,
+    config = loadConfig(),
+    clock = systemClock,
+    notifier = createNotifier(config.notifier, clock),
+    logger = createLogger({ level: config.logLevel }),
+    mediaStorage = createMediaStorage(config.media),
+    webhookDispatcher = createWebhookDispatcher(db, { ...config.webhooks, logger, clock }),
+}) => {
+    const app = express();
+    app.locals.db = db; // Shared with middleware through req.app
+    app.locals.config = config;
+    app.locals.clock = clock;
+    app.locals.logger = logger;
+
+    // Record a privileged action by the signed-in user in the audit trail
+    const auditAction = (req, action, { target, details, before, after } = {}) => recordAudit(db, {
+        actor: req.user,
+        action,
+        target,
+        details,
+        before,
+        after,
+        ip: req.ip,
+        requestId: req.id,
+        clock,
+    });
+
+    // Writes a request sets off without waiting for, kept so shutdown can wait for them
+    const background = new Set();
+    const inBackground = (promise) => {
+        background.add(promise);
+        promise.finally(() => background.delete(promise));
+    };
+
+    // Queue a webhook event and try to send it straight away. A failure here is logged rather
+    // than failing the change that caused it.
+    const emitEvent = (event, data) => inBackground(publishEvent(db, event, data, clock)
+        .then(() => webhookDispatcher.runDue())
+        .catch((error) => logger.error('Error publishing webhook event', { event, error })));
+
+    // Pushes request events to the open admin and customer streams
+    const eventHub = createEventHub();
+
+    // Request events also go to the event log and on to the live streams
+    const emitRequestEvent = (event, request, data) => {
+        emitEvent(event, data);
+        inBackground(recordEvent(db, { type: event, request, data, clock })
+            .then((entry) => eventHub.publish(entry))
+            .catch((error) => logger.error('Error recording request event', { event, error })));
+    };
+
+    // The API description served at /api/openapi.json, from the same tables the routes run on
+    const openApiDocument = buildOpenApiDocument({
+        routes: ROUTE_SCHEMAS,
+        permissions: ROUTE_PERMISSIONS,
+        schemas: RESOURCE_SCHEMAS,
+        version,
+        license,
+    });
+    app.locals.openApiDocument = openApiDocument;
+
+    // For shutdown: the hub ends the open event streams, and whenIdle() resolves once the
+    // background writes of requests already answered are done. Setting shuttingDown turns
+    // /readyz away.
+    app.locals.eventHub = eventHub;
+    app.locals.whenIdle = () => Promise.all(background);
+    app.locals.shuttingDown = false;
+
+    // Request counts and latencies by route, database pool usage, process memory
+    const metrics = createRegistry();
+    registerProcessMetrics(metrics);
+    registerDatabaseMetrics(metrics, db);
+
+    // Error bodies become problem documents everywhere, the probes included
+    app.use(problemResponses);
+
+    // Probes next: load balancers call them every few seconds, which would drown the logs
+    app.use(createHealthRoutes({ db, metrics, config }));
+
+    // Middleware
+    app.use(assignRequestId);
+    app.use(logRequests(logger));
+    app.use(collectHttpMetrics(metrics));
+    // Browsers only get answers for the origins in CORS_ORIGINS
+    app.use(cors({ origin: config.cors.origins, exposedHeaders: ['X-Next-Cursor', 'X-Request-Id', 'Idempotent-Replayed'] }));
+    // Catalog imports are far bigger than other bodies, and may be CSV
+    app.use('/api/services/import', bodyParser.json({ limit: '5mb' }), bodyParser.text({ type: 'text/csv', limit: '5mb' }));
+    app.use(bodyParser.json({ limit: '100kb' }));
+    app.use(express.static('frontend')); // Serve static files
+
+    // OpenAPI Route: every route with its inputs, responses and required permission
+    app.get('/api/openapi.json', authorize('GET /api/openapi.json'), validate('GET /api/openapi.json'), (req, res) => {
+        res.json(openApiDocument);
+    });
+
+    app.use(createAuthRoutes({ db, clock, notifier, config }));
+    app.use(createServiceRoutes({ db, config, clock, mediaStorage, auditAction, emitEvent }));
+    app.use(createCategoryRoutes({ db, clock, auditAction }));
+    app.use(createRequestRoutes({ db, clock, auditAction, emitRequestEvent, eventHub }));
+    app.use(createAdminRoutes({ db, config, clock, auditAction, eventHub, webhookDispatcher }));
+
+    // Unknown API paths, then errors from any route, as problem documents
+    app.use('/api', notFound);
+    app.use(handleErrors);
+
+    return app;
+};
+
+module.exports = { createApp };
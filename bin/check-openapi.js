@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Usage: npm run check:openapi
+// Fails when a route the server registers is missing from /api/openapi.json, or the
+// document describes a route the server does not have.
+
+const { loadConfig } = require('../lib/config');
+const { createDatabase } = require('../db');
+const { createApp } = require('../app');
+const { compareWithApp } = require('../lib/openapi');
+
+const run = async () => {
+    // Building the app never touches the database; an in-memory one keeps the check self-contained
+    const config = loadConfig({ NODE_ENV: 'test' });
+    const db = createDatabase(config.database);
+    const app = createApp({ db, config });
+    const document = app.locals.openApiDocument;
+    const { undocumented, unregistered } = compareWithApp(app, document);
+
+    undocumented.forEach((route) => console.error(`Not in the OpenAPI document: ${route}`));
+    unregistered.forEach((route) => console.error(`Documented but not registered: ${route}`));
+
+    await db.close();
+
+    if (undocumented.length > 0 || unregistered.length > 0) {
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`OpenAPI document covers all ${Object.keys(document.paths).length} paths the server registers`);
+};
+
+run();
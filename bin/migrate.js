@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Usage: npm run migrate -- <up|down [steps]|status|unlock>
+require('dotenv').config();
+const { loadDatabaseConfig } = require('../lib/config');
+const { createDatabase } = require('../db');
+const { createMigrator } = require('../db/migrator');
+
+const run = async () => {
+    const [command = 'status', arg] = process.argv.slice(2);
+    let db;
+    try {
+        db = createDatabase(loadDatabaseConfig());
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    const migrator = createMigrator(db);
+
+    try {
+        if (command === 'up') {
+            const applied = await migrator.up();
+            if (applied.length === 0) {
+                console.log('Database is already up to date');
+            }
+            applied.forEach(({ version, name }) => console.log(`Applied ${version}_${name}`));
+        } else if (command === 'down') {
+            const reverted = await migrator.down(arg ? Number(arg) : 1);
+            if (reverted.length === 0) {
+                console.log('No migrations to revert');
+            }
+            reverted.forEach(({ version, name }) => console.log(`Reverted ${version}_${name}`));
+        } else if (command === 'status') {
+            const migrations = await migrator.status();
+            migrations.forEach(({ version, name, applied }) => {
+                console.log(`${applied ? '[x]' : '[ ]'} ${version}_${name}`);
+            });
+        } else if (command === 'unlock') {
+            await migrator.unlock();
+            console.log('Migration lock released');
+        } else {
+            console.error(`Unknown command "${command}". Use up, down, status or unlock.`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+};
+
+run();
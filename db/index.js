@@ -0,0 +1,18 @@
+const createPostgresDatabase = require('./postgres');
+const createSqliteDatabase = require('./sqlite');
+
+// Storage backend for the database settings from lib/config.js: client 'postgres' or 'sqlite'
+const createDatabase = ({ client, ...settings }) => {
+    if (client === 'sqlite') {
+        return createSqliteDatabase({ filename: settings.filename });
+    }
+
+    if (client === 'postgres' || client === 'pg') {
+        const { user, host, database, password, port } = settings;
+        return createPostgresDatabase({ user, host, database, password, port });
+    }
+
+    throw new Error(`Unsupported database client "${client}". Use "postgres" or "sqlite".`);
+};
+
+module.exports = { createDatabase };
@@ -0,0 +1,51 @@
+// Baseline schema: the tables server.js used to create on every boot.
+// IF NOT EXISTS lets databases created before migrations adopt it unchanged.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            username TEXT UNIQUE NOT NULL,
+            password TEXT NOT NULL,
+            role TEXT NOT NULL
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS services (
+            id SERIAL PRIMARY KEY,
+            category TEXT NOT NULL,
+            name TEXT NOT NULL,
+            price REAL,
+            imageUrl TEXT, -- Path or URL of the image
+            description TEXT
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS requests (
+            id SERIAL PRIMARY KEY,
+            username TEXT NOT NULL,
+            product_name TEXT NOT NULL,
+            quantity INT NOT NULL DEFAULT 1,
+            request_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            status TEXT DEFAULT 'Pending'
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS admin (
+            id SERIAL PRIMARY KEY,
+            username TEXT UNIQUE NOT NULL,
+            password TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'admin'
+        );
+    `);
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS admin;');
+    await db.query('DROP TABLE IF EXISTS requests;');
+    await db.query('DROP TABLE IF EXISTS services;');
+    await db.query('DROP TABLE IF EXISTS users;');
+};
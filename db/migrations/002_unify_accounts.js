@@ -0,0 +1,38 @@
+// Fold the separate admin table into users and pin roles to customer, staff or admin.
+// Until now any caller could self-register with any role, staff included, so no role in
+// users is trusted: only rows from the admin table become admins and everyone else becomes
+// a customer. Staff are granted from here on through PATCH /api/admin/users/:id/role.
+
+exports.up = async (db) => {
+    await db.query(`
+        UPDATE users SET role = 'customer'
+        WHERE role IS NULL OR role <> 'customer';
+    `);
+
+    // Admin credentials win over a users row that happens to share the username
+    await db.query(`
+        INSERT INTO users (username, password, role)
+        SELECT username, password, 'admin' FROM admin WHERE true
+        ON CONFLICT (username) DO UPDATE SET password = excluded.password, role = 'admin';
+    `);
+
+    await db.query('DROP TABLE admin;');
+};
+
+exports.down = async (db) => {
+    await db.query(`
+        CREATE TABLE admin (
+            id SERIAL PRIMARY KEY,
+            username TEXT UNIQUE NOT NULL,
+            password TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'admin'
+        );
+    `);
+
+    await db.query(`
+        INSERT INTO admin (username, password, role)
+        SELECT username, password, 'admin' FROM users WHERE role = 'admin';
+    `);
+
+    await db.query("DELETE FROM users WHERE role = 'admin';");
+};
@@ -0,0 +1,32 @@
+// Server-side sessions and the rotating refresh tokens that belong to them.
+// Each session is one refresh-token family: reusing a rotated token revokes it.
+// Timestamps are written by the app as ISO strings so they compare the same way
+// on PostgreSQL and SQLite.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE sessions (
+            id TEXT PRIMARY KEY,
+            user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            created_at TIMESTAMPTZ NOT NULL,
+            revoked_at TIMESTAMPTZ
+        );
+    `);
+    await db.query('CREATE INDEX sessions_user_id_idx ON sessions (user_id);');
+
+    await db.query(`
+        CREATE TABLE refresh_tokens (
+            id SERIAL PRIMARY KEY,
+            session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+            token_hash TEXT UNIQUE NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL,
+            expires_at TIMESTAMPTZ NOT NULL,
+            used_at TIMESTAMPTZ
+        );
+    `);
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS refresh_tokens;');
+    await db.query('DROP TABLE IF EXISTS sessions;');
+};
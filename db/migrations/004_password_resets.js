@@ -0,0 +1,18 @@
+// Single-use, time-limited password reset tokens, stored hashed like refresh tokens.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE password_reset_tokens (
+            id SERIAL PRIMARY KEY,
+            user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            token_hash TEXT UNIQUE NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL,
+            expires_at TIMESTAMPTZ NOT NULL,
+            used_at TIMESTAMPTZ
+        );
+    `);
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS password_reset_tokens;');
+};
@@ -0,0 +1,35 @@
+// Failed-login tracking per username and per IP, plus the audit trail lockouts are written to.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE login_attempts (
+            id SERIAL PRIMARY KEY,
+            scope TEXT NOT NULL, -- 'username' or 'ip'
+            key TEXT NOT NULL,
+            failures INT NOT NULL DEFAULT 0,
+            last_failed_at TIMESTAMPTZ NOT NULL,
+            retry_at TIMESTAMPTZ, -- Progressive delay before the next attempt
+            locked_until TIMESTAMPTZ,
+            UNIQUE (scope, key)
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE audit_log (
+            id SERIAL PRIMARY KEY,
+            actor_id INT,
+            actor TEXT,
+            action TEXT NOT NULL,
+            target TEXT,
+            details TEXT, -- JSON
+            ip TEXT,
+            created_at TIMESTAMPTZ NOT NULL
+        );
+    `);
+    await db.query('CREATE INDEX audit_log_created_at_idx ON audit_log (created_at);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS audit_log;');
+    await db.query('DROP TABLE IF EXISTS login_attempts;');
+};
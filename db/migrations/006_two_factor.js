@@ -0,0 +1,26 @@
+// TOTP two-factor authentication. totp_secret is set when enrolment starts and only
+// counts once totp_enabled_at is set; totp_last_step stops a code being used twice.
+
+exports.up = async (db) => {
+    await db.query('ALTER TABLE users ADD COLUMN totp_secret TEXT;');
+    await db.query('ALTER TABLE users ADD COLUMN totp_enabled_at TIMESTAMPTZ;');
+    await db.query('ALTER TABLE users ADD COLUMN totp_last_step BIGINT;');
+
+    await db.query(`
+        CREATE TABLE totp_recovery_codes (
+            id SERIAL PRIMARY KEY,
+            user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            code_hash TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL,
+            used_at TIMESTAMPTZ
+        );
+    `);
+    await db.query('CREATE INDEX totp_recovery_codes_user_id_idx ON totp_recovery_codes (user_id);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS totp_recovery_codes;');
+    await db.query('ALTER TABLE users DROP COLUMN totp_last_step;');
+    await db.query('ALTER TABLE users DROP COLUMN totp_enabled_at;');
+    await db.query('ALTER TABLE users DROP COLUMN totp_secret;');
+};
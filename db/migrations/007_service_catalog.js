@@ -0,0 +1,19 @@
+// Timestamps and soft delete for the service catalog, plus indexes for the list filters.
+
+exports.up = async (db) => {
+    await db.query('ALTER TABLE services ADD COLUMN created_at TIMESTAMPTZ;');
+    await db.query('ALTER TABLE services ADD COLUMN updated_at TIMESTAMPTZ;');
+    await db.query('ALTER TABLE services ADD COLUMN deleted_at TIMESTAMPTZ;');
+    await db.query('UPDATE services SET created_at = $1, updated_at = $1;', [new Date().toISOString()]);
+
+    await db.query('CREATE INDEX services_category_idx ON services (category);');
+    await db.query('CREATE INDEX services_name_idx ON services (name);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP INDEX services_name_idx;');
+    await db.query('DROP INDEX services_category_idx;');
+    await db.query('ALTER TABLE services DROP COLUMN deleted_at;');
+    await db.query('ALTER TABLE services DROP COLUMN updated_at;');
+    await db.query('ALTER TABLE services DROP COLUMN created_at;');
+};
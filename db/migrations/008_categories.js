@@ -0,0 +1,69 @@
+// First-class, nestable categories. services.category was free text, so existing values
+// are grouped case- and whitespace-insensitively ("Plumbing", "plumbing", "Plumbing ")
+// into one category each, and services get a category_id pointing at it. The text column
+// stays as a denormalised copy of the category name for older clients.
+
+// Frozen copy of lib/categories.js slugify, so later changes there cannot alter this migration
+const slugify = (text) => text.toLowerCase().trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'category';
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE categories (
+            id SERIAL PRIMARY KEY,
+            parent_id INT REFERENCES categories(id),
+            name TEXT NOT NULL,
+            slug TEXT UNIQUE NOT NULL,
+            display_order INT NOT NULL DEFAULT 0,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMPTZ NOT NULL,
+            updated_at TIMESTAMPTZ NOT NULL
+        );
+    `);
+    await db.query('CREATE INDEX categories_parent_id_idx ON categories (parent_id);');
+
+    await db.query('ALTER TABLE services ADD COLUMN category_id INT REFERENCES categories(id);');
+    await db.query('CREATE INDEX services_category_id_idx ON services (category_id);');
+
+    // Most common spelling of each group becomes the category name
+    const result = await db.query(`
+        SELECT TRIM(category) AS name, COUNT(*) AS uses FROM services
+        WHERE TRIM(category) <> ''
+        GROUP BY TRIM(category)
+        ORDER BY COUNT(*) DESC, TRIM(category)
+    `);
+    const groups = new Map();
+    for (const { name } of result.rows) {
+        const key = name.toLowerCase();
+        if (!groups.has(key)) {
+            groups.set(key, name);
+        }
+    }
+
+    const now = new Date().toISOString();
+    const slugs = new Set();
+    for (const [key, name] of groups) {
+        let slug = slugify(name);
+        for (let n = 2; slugs.has(slug); n += 1) {
+            slug = `${slugify(name)}-${n}`;
+        }
+        slugs.add(slug);
+
+        const inserted = await db.query(
+            `INSERT INTO categories (name, slug, created_at, updated_at)
+             VALUES ($1, $2, $3, $3) RETURNING id`,
+            [name, slug, now]
+        );
+        await db.query(
+            'UPDATE services SET category_id = $1, category = $2 WHERE LOWER(TRIM(category)) = $3',
+            [inserted.rows[0].id, name, key]
+        );
+    }
+};
+
+exports.down = async (db) => {
+    await db.query('DROP INDEX services_category_id_idx;');
+    await db.query('ALTER TABLE services DROP COLUMN category_id;');
+    await db.query('DROP TABLE IF EXISTS categories;');
+};
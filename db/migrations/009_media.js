@@ -0,0 +1,21 @@
+// Uploaded media (service images for now). Files live in the storage driver under
+// storage_key; the checksum doubles as the ETag when serving them.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE media (
+            id SERIAL PRIMARY KEY,
+            service_id INT REFERENCES services(id) ON DELETE SET NULL,
+            storage_key TEXT UNIQUE NOT NULL,
+            content_type TEXT NOT NULL,
+            size_bytes INT NOT NULL,
+            checksum TEXT NOT NULL, -- SHA-256, hex
+            created_at TIMESTAMPTZ NOT NULL
+        );
+    `);
+    await db.query('CREATE INDEX media_service_id_idx ON media (service_id);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS media;');
+};
@@ -0,0 +1,47 @@
+// Request status history. Existing statuses are normalised to the canonical spelling
+// where they clearly match one, and every request gets a starting history entry.
+
+const CANONICAL = {
+    pending: 'Pending',
+    approved: 'Approved',
+    dispatched: 'Dispatched',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    canceled: 'Cancelled',
+    rejected: 'Rejected',
+};
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE request_status_history (
+            id SERIAL PRIMARY KEY,
+            request_id INT NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+            from_status TEXT,
+            to_status TEXT NOT NULL,
+            actor_id INT,
+            actor TEXT,
+            note TEXT,
+            created_at TIMESTAMPTZ NOT NULL
+        );
+    `);
+    await db.query('CREATE INDEX request_status_history_request_id_idx ON request_status_history (request_id);');
+
+    await db.query("UPDATE requests SET status = 'Pending' WHERE status IS NULL;");
+    for (const [spelling, status] of Object.entries(CANONICAL)) {
+        await db.query('UPDATE requests SET status = $1 WHERE LOWER(TRIM(status)) = $2;', [status, spelling]);
+    }
+
+    const now = new Date().toISOString();
+    const requests = await db.query('SELECT id, status FROM requests ORDER BY id;');
+    for (const { id, status } of requests.rows) {
+        await db.query(
+            `INSERT INTO request_status_history (request_id, from_status, to_status, note, created_at)
+             VALUES ($1, NULL, $2, 'Status before history was recorded', $3)`,
+            [id, status, now]
+        );
+    }
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS request_status_history;');
+};
@@ -0,0 +1,45 @@
+// Requests become orders with line items that point at services and snapshot the
+// price at submission. requests.product_name and quantity remain as a summary for
+// older clients. Existing requests get one item each, linked to a service with the
+// same name where one exists; their price was never recorded, so it stays empty.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE request_items (
+            id SERIAL PRIMARY KEY,
+            request_id INT NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+            service_id INT REFERENCES services(id),
+            name TEXT NOT NULL,
+            unit_price REAL,
+            quantity INT NOT NULL CHECK (quantity > 0),
+            line_total REAL
+        );
+    `);
+    await db.query('CREATE INDEX request_items_request_id_idx ON request_items (request_id);');
+    await db.query('CREATE INDEX request_items_service_id_idx ON request_items (service_id);');
+    await db.query('ALTER TABLE requests ADD COLUMN total REAL;');
+
+    // Prefer live services, then the oldest, when several share a name
+    const services = await db.query('SELECT id, name FROM services ORDER BY deleted_at IS NOT NULL, id;');
+    const serviceIds = new Map();
+    for (const { id, name } of services.rows) {
+        const key = name.trim().toLowerCase();
+        if (!serviceIds.has(key)) {
+            serviceIds.set(key, id);
+        }
+    }
+
+    const requests = await db.query('SELECT id, product_name, quantity FROM requests ORDER BY id;');
+    for (const { id, product_name, quantity } of requests.rows) {
+        await db.query(
+            `INSERT INTO request_items (request_id, service_id, name, quantity)
+             VALUES ($1, $2, $3, $4)`,
+            [id, serviceIds.get(product_name.trim().toLowerCase()) ?? null, product_name, Math.max(quantity, 1)]
+        );
+    }
+};
+
+exports.down = async (db) => {
+    await db.query('ALTER TABLE requests DROP COLUMN total;');
+    await db.query('DROP TABLE IF EXISTS request_items;');
+};
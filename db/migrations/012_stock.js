@@ -0,0 +1,33 @@
+// Optional stock levels per service. stock_on_hand is NULL for services that are not
+// tracked. Each request item remembers how much it reserved, so releasing or consuming
+// only ever touches stock that was actually set aside for it.
+
+exports.up = async (db) => {
+    await db.query('ALTER TABLE services ADD COLUMN stock_on_hand INT;');
+    await db.query('ALTER TABLE services ADD COLUMN stock_reserved INT NOT NULL DEFAULT 0;');
+    await db.query('ALTER TABLE services ADD COLUMN low_stock_threshold INT;');
+    await db.query('ALTER TABLE request_items ADD COLUMN reserved_quantity INT NOT NULL DEFAULT 0;');
+
+    await db.query(`
+        CREATE TABLE stock_movements (
+            id SERIAL PRIMARY KEY,
+            service_id INT NOT NULL REFERENCES services(id),
+            on_hand_change INT NOT NULL DEFAULT 0,
+            reserved_change INT NOT NULL DEFAULT 0,
+            reason TEXT NOT NULL,
+            request_id INT REFERENCES requests(id) ON DELETE SET NULL,
+            actor_id INT,
+            actor TEXT,
+            created_at TIMESTAMPTZ NOT NULL
+        );
+    `);
+    await db.query('CREATE INDEX stock_movements_service_id_idx ON stock_movements (service_id);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS stock_movements;');
+    await db.query('ALTER TABLE request_items DROP COLUMN reserved_quantity;');
+    await db.query('ALTER TABLE services DROP COLUMN low_stock_threshold;');
+    await db.query('ALTER TABLE services DROP COLUMN stock_reserved;');
+    await db.query('ALTER TABLE services DROP COLUMN stock_on_hand;');
+};
@@ -0,0 +1,44 @@
+// Outgoing webhooks: admin-managed subscriptions and a log of every delivery attempt.
+// Deliveries are written when an event happens and sent by the dispatcher, which retries
+// failures with backoff until max attempts.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE webhooks (
+            id SERIAL PRIMARY KEY,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            events TEXT NOT NULL,
+            description TEXT,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMPTZ NOT NULL,
+            updated_at TIMESTAMPTZ NOT NULL
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE webhook_deliveries (
+            id SERIAL PRIMARY KEY,
+            webhook_id INT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+            event_id TEXT NOT NULL,
+            event TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMPTZ,
+            last_attempt_at TIMESTAMPTZ,
+            response_status INT,
+            last_error TEXT,
+            replay_of INT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+            created_at TIMESTAMPTZ NOT NULL,
+            delivered_at TIMESTAMPTZ
+        );
+    `);
+    await db.query('CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at);');
+    await db.query('CREATE INDEX webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS webhook_deliveries;');
+    await db.query('DROP TABLE IF EXISTS webhooks;');
+};
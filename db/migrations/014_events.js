@@ -0,0 +1,21 @@
+// Persisted log of request events for the live streams. Clients that reconnect with
+// Last-Event-ID are sent whatever they missed from here. username is the request's owner,
+// so customer streams can be scoped without a join.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE events (
+            id SERIAL PRIMARY KEY,
+            type TEXT NOT NULL,
+            request_id INT,
+            username TEXT,
+            data TEXT NOT NULL, -- JSON
+            created_at TIMESTAMPTZ NOT NULL
+        );
+    `);
+    await db.query('CREATE INDEX events_username_id_idx ON events (username, id);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS events;');
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Make the audit trail tamper-evident: before/after snapshots and the HTTP request id on each
+// entry, a hash chain over the entries (existing ones included) and triggers that refuse
+// updates and deletes.
+
+// Frozen copies of lib/audit.js GENESIS_HASH and hashEntry, so later changes there cannot alter
+// the chain this migration builds
+const GENESIS_HASH = '0'.repeat(64);
+const hashEntry = (prevHash, entry) => crypto.createHash('sha256')
+    .update(JSON.stringify([
+        prevHash,
+        new Date(entry.created_at).toISOString(),
+        entry.actor_id ?? null,
+        entry.actor ?? null,
+        entry.action,
+        entry.target ?? null,
+        entry.details ?? null,
+        entry.before_state ?? null,
+        entry.after_state ?? null,
+        entry.ip ?? null,
+        entry.request_id ?? null,
+    ]))
+    .digest('hex');
+
+exports.up = async (db) => {
+    await db.query('ALTER TABLE audit_log ADD COLUMN before_state TEXT;');
+    await db.query('ALTER TABLE audit_log ADD COLUMN after_state TEXT;');
+    await db.query('ALTER TABLE audit_log ADD COLUMN request_id TEXT;');
+    await db.query('ALTER TABLE audit_log ADD COLUMN prev_hash TEXT;');
+    await db.query('ALTER TABLE audit_log ADD COLUMN hash TEXT;');
+    await db.query('CREATE INDEX audit_log_actor_idx ON audit_log (actor);');
+    await db.query('CREATE INDEX audit_log_action_idx ON audit_log (action);');
+    await db.query('CREATE INDEX audit_log_target_idx ON audit_log (target);');
+
+    // Only ever one row: the newest entry and its hash
+    await db.query(`
+        CREATE TABLE audit_log_head (
+            id INT PRIMARY KEY CHECK (id = 1),
+            last_id INT,
+            hash TEXT NOT NULL
+        );
+    `);
+
+    const existing = await db.query('SELECT * FROM audit_log ORDER BY id');
+    let prevHash = GENESIS_HASH;
+    let lastId = null;
+    for (const entry of existing.rows) {
+        const hash = hashEntry(prevHash, entry);
+        await db.query('UPDATE audit_log SET prev_hash = $1, hash = $2 WHERE id = $3', [prevHash, hash, entry.id]);
+        prevHash = hash;
+        lastId = entry.id;
+    }
+    await db.query('INSERT INTO audit_log_head (id, last_id, hash) VALUES (1, $1, $2)', [lastId, prevHash]);
+
+    if (db.dialect === 'sqlite') {
+        await db.query(`
+            CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+        `);
+        await db.query(`
+            CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+        `);
+    } else {
+        await db.query(`
+            CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql;
+        `);
+        await db.query(`
+            CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+            FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+        `);
+        await db.query(`
+            CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+            FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+        `);
+    }
+};
+
+exports.down = async (db) => {
+    if (db.dialect === 'sqlite') {
+        await db.query('DROP TRIGGER IF EXISTS audit_log_no_update;');
+        await db.query('DROP TRIGGER IF EXISTS audit_log_no_delete;');
+    } else {
+        await db.query('DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;');
+        await db.query('DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log;');
+        await db.query('DROP FUNCTION IF EXISTS audit_log_append_only();');
+    }
+
+    await db.query('DROP TABLE IF EXISTS audit_log_head;');
+    await db.query('DROP INDEX IF EXISTS audit_log_target_idx;');
+    await db.query('DROP INDEX IF EXISTS audit_log_action_idx;');
+    await db.query('DROP INDEX IF EXISTS audit_log_actor_idx;');
+    await db.query('ALTER TABLE audit_log DROP COLUMN hash;');
+    await db.query('ALTER TABLE audit_log DROP COLUMN prev_hash;');
+    await db.query('ALTER TABLE audit_log DROP COLUMN request_id;');
+    await db.query('ALTER TABLE audit_log DROP COLUMN after_state;');
+    await db.query('ALTER TABLE audit_log DROP COLUMN before_state;');
+};
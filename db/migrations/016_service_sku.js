@@ -0,0 +1,13 @@
+// Stable external SKUs for services, used to match rows when importing the catalog.
+// Existing services get SVC-<id> so every service can be exported and imported back.
+
+exports.up = async (db) => {
+    await db.query('ALTER TABLE services ADD COLUMN sku TEXT;');
+    await db.query("UPDATE services SET sku = 'SVC-' || id;");
+    await db.query('CREATE UNIQUE INDEX services_sku_idx ON services (sku);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP INDEX IF EXISTS services_sku_idx;');
+    await db.query('ALTER TABLE services DROP COLUMN sku;');
+};
@@ -0,0 +1,24 @@
+// Stored responses for requests sent with an Idempotency-Key header, per caller. A row is
+// 'processing' while the first request runs and 'completed' once its response is saved.
+
+exports.up = async (db) => {
+    await db.query(`
+        CREATE TABLE idempotency_keys (
+            id SERIAL PRIMARY KEY,
+            scope TEXT NOT NULL, -- Whose key it is, e.g. user:12
+            key TEXT NOT NULL,
+            request_hash TEXT NOT NULL, -- SHA-256 of method, path and body
+            state TEXT NOT NULL DEFAULT 'processing',
+            response_status INT,
+            response_body TEXT,
+            created_at TIMESTAMPTZ NOT NULL,
+            expires_at TIMESTAMPTZ NOT NULL,
+            UNIQUE (scope, key)
+        );
+    `);
+    await db.query('CREATE INDEX idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);');
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS idempotency_keys;');
+};
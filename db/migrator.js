@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named <version>_<name>.js and export up(db) and down(db)
+const loadMigrations = (directory) => fs.readdirSync(directory)
+    .map((file) => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+        const { up, down } = require(path.join(directory, file));
+        return { version: Number(version), name, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+const createMigrator = (db, { directory = MIGRATIONS_DIR } = {}) => {
+    const ensureTables = async () => {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations_lock (
+                id INTEGER PRIMARY KEY,
+                locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    };
+
+    // A single lock row guards against two processes migrating at the same time
+    const withLock = async (fn) => {
+        await ensureTables();
+
+        try {
+            await db.query('INSERT INTO schema_migrations_lock (id) VALUES (1)');
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Migrations are locked by another process. Run "migrate unlock" if it is stale.');
+            }
+            throw error;
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await db.query('DELETE FROM schema_migrations_lock WHERE id = 1');
+        }
+    };
+
+    const appliedVersions = async () => {
+        const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+        return result.rows.map((row) => Number(row.version));
+    };
+
+    // Every migration with its applied flag, in version order
+    const status = async () => {
+        await ensureTables();
+        const applied = await appliedVersions();
+        return loadMigrations(directory).map(({ version, name }) => ({
+            version,
+            name,
+            applied: applied.includes(version),
+        }));
+    };
+
+    // Migrations not applied yet. Fails if the database has never been migrated.
+    const pending = async () => {
+        const applied = await appliedVersions();
+        return loadMigrations(directory)
+            .filter((m) => !applied.includes(m.version))
+            .map(({ version, name }) => ({ version, name }));
+    };
+
+    // Apply all pending migrations, each in its own transaction
+    const up = () => withLock(async () => {
+        const applied = await appliedVersions();
+        const pending = loadMigrations(directory).filter((m) => !applied.includes(m.version));
+
+        for (const migration of pending) {
+            await db.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+            });
+        }
+
+        return pending.map(({ version, name }) => ({ version, name }));
+    });
+
+    // Revert the most recent `steps` applied migrations
+    const down = (steps = 1) => withLock(async () => {
+        const applied = await appliedVersions();
+        const migrations = loadMigrations(directory);
+        const reverting = applied.slice(-steps).reverse().map((version) => {
+            const migration = migrations.find((m) => m.version === version);
+            if (!migration) {
+                throw new Error(`Migration ${version} is applied but its file is missing`);
+            }
+            return migration;
+        });
+
+        for (const migration of reverting) {
+            await db.transaction(async (tx) => {
+                await migration.down(tx);
+                await tx.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            });
+        }
+
+        return reverting.map(({ version, name }) => ({ version, name }));
+    });
+
+    const unlock = async () => {
+        await ensureTables();
+        await db.query('DELETE FROM schema_migrations_lock WHERE id = 1');
+    };
+
+    return { status, pending, up, down, unlock };
+};
+
+module.exports = { createMigrator, loadMigrations };
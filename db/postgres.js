@@ -0,0 +1,48 @@
+const { Pool } = require('pg'); // PostgreSQL library
+
+// Wrap a pg client (or pool) so callers only ever see { rows, rowCount }
+const wrapClient = (client) => ({
+    dialect: 'postgres',
+    query: async (text, params = []) => {
+        const result = await client.query(text, params);
+        return { rows: result.rows, rowCount: result.rowCount };
+    },
+});
+
+const createPostgresDatabase = (options) => {
+    const pool = new Pool(options);
+    const db = wrapClient(pool);
+
+    // Run fn inside BEGIN/COMMIT on a dedicated client, rolling back on error
+    db.transaction = async (fn) => {
+        const client = await pool.connect();
+        const tx = wrapClient(client);
+        tx.transaction = (inner) => inner(tx); // Nested calls join the outer transaction
+
+        try {
+            await client.query('BEGIN');
+            const result = await fn(tx);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    };
+
+    db.ping = async () => {
+        await pool.query('SELECT 1');
+    };
+
+    // Pool connections, for /metrics
+    db.stats = () => ({ total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount });
+
+    db.close = () => pool.end();
+    db.pool = pool;
+
+    return db;
+};
+
+module.exports = createPostgresDatabase;
@@ -0,0 +1,105 @@
+const sqlite3 = require('sqlite3');
+
+// Map SQLite constraint failures onto the PostgreSQL SQLSTATE codes the routes check for
+const constraintCodes = [
+    ['UNIQUE constraint failed', '23505'],
+    ['FOREIGN KEY constraint failed', '23503'],
+    ['NOT NULL constraint failed', '23502'],
+    ['CHECK constraint failed', '23514'],
+];
+
+const normalizeError = (error) => {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+        const match = constraintCodes.find(([text]) => error.message.includes(text));
+        if (match) {
+            error.sqliteCode = error.code;
+            error.code = match[1];
+        }
+    }
+    return error;
+};
+
+// Rewrite the few PostgreSQL-isms our SQL uses into their SQLite equivalents
+const translate = (text) => text
+    .replace(/\bSERIAL PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\s+FOR UPDATE\b/gi, '') // A SQLite transaction already holds the whole database
+    .replace(/\$(\d+)/g, '?$1'); // Numbered ?NNN parameters bind positionally like $1
+
+// PostgreSQL folds unquoted identifiers to lower case; mirror that so rows look the same on both
+const foldRow = (row) => {
+    const folded = {};
+    for (const [key, value] of Object.entries(row)) {
+        folded[key.toLowerCase()] = value;
+    }
+    return folded;
+};
+
+const returnsRows = (text) => /^\s*(SELECT|WITH|PRAGMA|VALUES)\b/i.test(text) || /\bRETURNING\b/i.test(text);
+
+const createSqliteDatabase = ({ filename }) => {
+    const connection = new sqlite3.Database(filename);
+    const opened = new Promise((resolve, reject) => {
+        connection.once('open', resolve);
+        connection.once('error', reject);
+    });
+
+    const execute = (text, params = []) => new Promise((resolve, reject) => {
+        const sql = translate(text);
+
+        if (returnsRows(sql)) {
+            connection.all(sql, params, (err, rows) => {
+                if (err) return reject(normalizeError(err));
+                resolve({ rows: rows.map(foldRow), rowCount: rows.length });
+            });
+        } else {
+            connection.run(sql, params, function (err) {
+                if (err) return reject(normalizeError(err));
+                resolve({ rows: [], rowCount: this.changes });
+            });
+        }
+    });
+
+    // One connection serves everything, so queue work to keep transactions from interleaving
+    let queue = opened.then(() => execute('PRAGMA foreign_keys = ON'));
+    let queued = 0;
+    const exclusive = (fn) => {
+        queued += 1;
+        const run = queue.then(fn).finally(() => {
+            queued -= 1;
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const tx = { dialect: 'sqlite', query: execute };
+    tx.transaction = (inner) => inner(tx); // Nested calls join the outer transaction
+
+    return {
+        dialect: 'sqlite',
+        query: (text, params) => exclusive(() => execute(text, params)),
+
+        // Run fn inside BEGIN/COMMIT with the connection to itself, rolling back on error
+        transaction: (fn) => exclusive(async () => {
+            await execute('BEGIN IMMEDIATE');
+            try {
+                const result = await fn(tx);
+                await execute('COMMIT');
+                return result;
+            } catch (error) {
+                await execute('ROLLBACK');
+                throw error;
+            }
+        }),
+
+        ping: () => exclusive(() => execute('SELECT 1')),
+
+        // Reported like a pool of one, for /metrics: the connection is busy while work is queued
+        stats: () => ({ total: 1, idle: queued === 0 ? 1 : 0, waiting: Math.max(queued - 1, 0) }),
+
+        close: () => exclusive(() => new Promise((resolve, reject) => {
+            connection.close((err) => (err ? reject(err) : resolve()));
+        })),
+    };
+};
+
+module.exports = createSqliteDatabase;
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { systemClock } = require('./clock');
+
+// Append-only audit trail. Every entry's hash covers its own fields and the previous entry's
+// hash, and audit_log_head remembers the newest one, so editing, removing or truncating
+// entries shows up in verifyAuditChain().
+
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_PAGE_SIZE = 500;
+
+class AuditQueryError extends Error {}
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+// The hashed form of an entry. Reads back identically from either database, so keep the field
+// order and formatting stable: changing it invalidates every existing chain.
+const hashEntry = (prevHash, entry) => crypto.createHash('sha256')
+    .update(JSON.stringify([
+        prevHash,
+        new Date(entry.created_at).toISOString(),
+        entry.actor_id ?? null,
+        entry.actor ?? null,
+        entry.action,
+        entry.target ?? null,
+        entry.details ?? null,
+        entry.before_state ?? null,
+        entry.after_state ?? null,
+        entry.ip ?? null,
+        entry.request_id ?? null,
+    ]))
+    .digest('hex');
+
+// Append an entry to the audit trail. actor is the signed-in user ({ id, username }) if any;
+// before and after are snapshots of what changed, requestId the HTTP request's id.
+const recordAudit = (db, { actor, action, target, details, before, after, ip, requestId, clock = systemClock }) => db.transaction(async (tx) => {
+    // Locking the head row makes concurrent writers take turns extending the chain
+    const head = await tx.query('SELECT hash FROM audit_log_head WHERE id = 1 FOR UPDATE');
+    const prevHash = head.rows[0].hash;
+
+    const entry = {
+        actor_id: actor?.id ?? null,
+        actor: actor?.username ?? null,
+        action,
+        target: target ?? null,
+        details: toJson(details),
+        before_state: toJson(before),
+        after_state: toJson(after),
+        ip: ip ?? null,
+        request_id: requestId ?? null,
+        created_at: clock.now().toISOString(),
+    };
+    const hash = hashEntry(prevHash, entry);
+
+    const result = await tx.query(
+        `INSERT INTO audit_log (actor_id, actor, action, target, details, before_state, after_state, ip, request_id, created_at, prev_hash, hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING id`,
+        [
+            entry.actor_id,
+            entry.actor,
+            entry.action,
+            entry.target,
+            entry.details,
+            entry.before_state,
+            entry.after_state,
+            entry.ip,
+            entry.request_id,
+            entry.created_at,
+            prevHash,
+            hash,
+        ]
+    );
+    await tx.query('UPDATE audit_log_head SET last_id = $1, hash = $2 WHERE id = 1', [result.rows[0].id, hash]);
+});
+
+const parseJson = (text) => (text === null || text === undefined ? null : JSON.parse(text));
+
+const toAuditEntry = ({ details, before_state: before, after_state: after, ...row }) => ({
+    ...row,
+    details: parseJson(details),
+    before: parseJson(before),
+    after: parseJson(after),
+});
+
+const parseDate = (value, name) => {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new AuditQueryError(`${name} must be a date such as 2024-05-01 or 2024-05-01T12:00:00Z`);
+    }
+    return new Date(time).toISOString();
+};
+
+// Newest first. Filters: actor (username), action ("service.updated", or "service.*" for a
+// prefix), target, from and to (inclusive dates). Pages with limit and cursor; resolves to
+// { entries, nextCursor }.
+const listAudit = async (db, query = {}) => {
+    const conditions = [];
+    const values = [];
+    const add = (condition, value) => {
+        values.push(value);
+        conditions.push(condition.replace('?', `$${values.length}`));
+    };
+
+    if (query.actor) {
+        add('actor = ?', String(query.actor));
+    }
+    if (query.action) {
+        const action = String(query.action);
+        if (action.endsWith('.*')) {
+            add("action LIKE ? ESCAPE '\\'", `${action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+        } else {
+            add('action = ?', action);
+        }
+    }
+    if (query.target) {
+        add('target = ?', String(query.target));
+    }
+    if (query.from) {
+        add('created_at >= ?', parseDate(query.from, 'from'));
+    }
+    if (query.to) {
+        // A bare date means the whole of that day
+        const to = /^\d{4}-\d{2}-\d{2}$/.test(query.to)
+            ? new Date(Date.parse(query.to) + 24 * 60 * 60 * 1000 - 1).toISOString()
+            : parseDate(query.to, 'to');
+        add('created_at <= ?', to);
+    }
+    if (query.cursor !== undefined) {
+        const cursor = Number(query.cursor);
+        if (!Number.isInteger(cursor) || cursor < 1) {
+            throw new AuditQueryError('Invalid cursor');
+        }
+        add('id < ?', cursor);
+    }
+
+    const limit = query.limit === undefined ? 100 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        throw new AuditQueryError('limit must be a whole number from 1 to 500');
+    }
+    values.push(limit + 1);
+
+    const result = await db.query(
+        `SELECT * FROM audit_log
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         LIMIT $${values.length}`,
+        values
+    );
+
+    const rows = result.rows.slice(0, limit);
+    return {
+        entries: rows.map(toAuditEntry),
+        nextCursor: result.rows.length > limit ? String(rows[rows.length - 1].id) : null,
+    };
+};
+
+// Recompute the chain from the first entry. Resolves to { ok: true, entries } or to
+// { ok: false, entryId, problem } for the first entry that does not check out.
+const verifyAuditChain = async (db) => {
+    let prevHash = GENESIS_HASH;
+    let lastId = 0;
+    let entries = 0;
+    let page;
+
+    do {
+        page = (await db.query('SELECT * FROM audit_log WHERE id > $1 ORDER BY id LIMIT $2', [lastId, VERIFY_PAGE_SIZE])).rows;
+
+        for (const entry of page) {
+            if (entry.prev_hash !== prevHash) {
+                return { ok: false, entryId: entry.id, problem: 'An entry before this one was removed or changed' };
+            }
+            if (hashEntry(prevHash, entry) !== entry.hash) {
+                return { ok: false, entryId: entry.id, problem: 'This entry was changed after it was written' };
+            }
+            prevHash = entry.hash;
+            lastId = entry.id;
+            entries += 1;
+        }
+    } while (page.length === VERIFY_PAGE_SIZE);
+
+    const head = (await db.query('SELECT last_id, hash FROM audit_log_head WHERE id = 1')).rows[0];
+    if (head.hash !== prevHash || (head.last_id ?? 0) !== lastId) {
+        return { ok: false, entryId: lastId || null, problem: 'Entries after this one were removed' };
+    }
+
+    return { ok: true, entries };
+};
+
+module.exports = {
+    AuditQueryError,
+    recordAudit,
+    listAudit,
+    verifyAuditChain,
+};
@@ -0,0 +1,159 @@
+const { systemClock } = require('./clock');
+
+// Query building for the service catalog: filters, text search, sorting and cursor pagination.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 100;
+
+// Sortable fields and the SQL they sort by. Missing prices sort as 0.
+const SORT_FIELDS = {
+    id: { expr: 'id', value: (row) => row.id, type: 'number' },
+    name: { expr: 'name', value: (row) => row.name, type: 'string' },
+    price: { expr: 'COALESCE(price, 0)', value: (row) => row.price ?? 0, type: 'number' },
+};
+
+class CatalogQueryError extends Error {}
+
+// Cursors are opaque to clients: the sort they belong to and the last row's position in it
+const encodeCursor = (sort, row) => Buffer.from(JSON.stringify({
+    sort,
+    value: SORT_FIELDS[sort.replace(/^-/, '')].value(row),
+    id: row.id,
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+        throw new CatalogQueryError('Invalid cursor');
+    }
+
+    const field = SORT_FIELDS[sort.replace(/^-/, '')];
+    if (decoded?.sort !== sort || typeof decoded.value !== field.type || !Number.isInteger(decoded.id)) {
+        throw new CatalogQueryError('Cursor does not match this query');
+    }
+    return decoded;
+};
+
+const parseNumber = (value, name) => {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new CatalogQueryError(`${name} must be a number`);
+    }
+    return number;
+};
+
+// Turn GET /api/services query parameters into SQL. Throws CatalogQueryError on bad input.
+// The category filter arrives already resolved to a list of category ids.
+const buildServiceListQuery = (query, { categoryIds } = {}) => {
+    const { minPrice, maxPrice, q, sort = 'id', cursor } = query;
+    const conditions = ['deleted_at IS NULL'];
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseNumber(query.limit, 'limit');
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new CatalogQueryError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+
+    if (categoryIds) {
+        conditions.push(categoryIds.length > 0 ? `category_id IN (${categoryIds.map(param).join(', ')})` : 'FALSE');
+    }
+    if (minPrice !== undefined) {
+        conditions.push(`price >= ${param(parseNumber(minPrice, 'minPrice'))}`);
+    }
+    if (maxPrice !== undefined) {
+        conditions.push(`price <= ${param(parseNumber(maxPrice, 'maxPrice'))}`);
+    }
+    if (q) {
+        // Case-insensitive substring match, with LIKE wildcards in the search text escaped
+        const pattern = param(`%${String(q).toLowerCase().replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`(LOWER(name) LIKE ${pattern} ESCAPE '\\' OR LOWER(COALESCE(description, '')) LIKE ${pattern} ESCAPE '\\')`);
+    }
+
+    const descending = String(sort).startsWith('-');
+    const field = SORT_FIELDS[String(sort).replace(/^-/, '')];
+    if (!field) {
+        throw new CatalogQueryError(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`);
+    }
+
+    const direction = descending ? 'DESC' : 'ASC';
+    if (cursor) {
+        const { value, id } = decodeCursor(String(cursor), sort);
+        const op = descending ? '<' : '>';
+        const after = param(value);
+        conditions.push(`(${field.expr} ${op} ${after} OR (${field.expr} = ${after} AND id ${op} ${param(id)}))`);
+    }
+
+    // One extra row tells us whether there is a next page
+    const text = `
+        SELECT * FROM services
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${field.expr} ${direction}, id ${direction}
+        LIMIT ${limit + 1}
+    `;
+
+    return { text, params, limit, sort };
+};
+
+// Run the list query and split off the next-page cursor
+const listServices = async (db, query, options) => {
+    const { text, params, limit, sort } = buildServiceListQuery(query, options);
+    const result = await db.query(text, params);
+    const services = result.rows.slice(0, limit);
+    const nextCursor = result.rows.length > limit ? encodeCursor(sort, services[services.length - 1]) : null;
+
+    return { services, nextCursor };
+};
+
+// Columns clients may write directly; the category is set through resolveServiceCategory
+const SERVICE_FIELDS = ['sku', 'name', 'price', 'imageUrl', 'description'];
+
+// External stock-keeping unit: how imports recognise a service
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Services added without a sku are numbered SVC-<id>. Nobody may pick such a sku themselves,
+// so a generated one is never already taken.
+const GENERATED_SKU_PREFIX = 'SVC-';
+const generatedSku = (id) => `${GENERATED_SKU_PREFIX}${id}`;
+const isGeneratedSku = (sku) => sku.toUpperCase().startsWith(GENERATED_SKU_PREFIX);
+
+// A live (not deleted) service, or undefined
+const findService = async (db, id) => {
+    const result = await db.query('SELECT * FROM services WHERE id = $1 AND deleted_at IS NULL', [id]);
+    return result.rows[0];
+};
+
+// Set the given fields on a live service. Returns the updated row, or undefined if there is none.
+const updateService = async (db, id, fields, clock = systemClock) => {
+    const params = [];
+    const assignments = Object.entries(fields).map(([column, value]) => {
+        params.push(value);
+        return `${column} = $${params.length}`;
+    });
+    params.push(clock.now().toISOString(), id);
+
+    const result = await db.query(
+        `UPDATE services SET ${assignments.join(', ')}, updated_at = $${params.length - 1}
+         WHERE id = $${params.length} AND deleted_at IS NULL
+         RETURNING *`,
+        params
+    );
+    return result.rows[0];
+};
+
+module.exports = {
+    CatalogQueryError,
+    SERVICE_FIELDS,
+    SKU_PATTERN,
+    GENERATED_SKU_PREFIX,
+    generatedSku,
+    isGeneratedSku,
+    listServices,
+    findService,
+    updateService,
+};
@@ -0,0 +1,298 @@
+const { SKU_PATTERN, GENERATED_SKU_PREFIX, isGeneratedSku } = require('./catalog');
+const { resolveServiceCategory } = require('./categories');
+const { parseCsv, unguardCell } = require('./csv');
+const { systemClock } = require('./clock');
+
+// Bulk catalog transfer. Export and import share one format: a row per service with these
+// columns, where category is the category's slug (a name works too when importing).
+const TRANSFER_COLUMNS = ['sku', 'name', 'category', 'price', 'description', 'imageUrl'];
+const REQUIRED_CSV_COLUMNS = ['sku', 'name', 'category'];
+const MAX_IMPORT_ROWS = 5000;
+
+// The upload as a whole cannot be used; problems with single rows are reported per row instead
+class CatalogImportError extends Error {}
+
+// CSV rows whose cell count does not match the header, with the count they had
+const cellCounts = new WeakMap();
+
+const csvRows = (text) => {
+    if (typeof text !== 'string') {
+        throw new CatalogImportError('Send the CSV as the request body with Content-Type: text/csv');
+    }
+
+    let table;
+    try {
+        table = parseCsv(text);
+    } catch (error) {
+        throw new CatalogImportError(`Invalid CSV: ${error.message}`);
+    }
+    if (table.length === 0) {
+        throw new CatalogImportError('The CSV is empty');
+    }
+
+    const [header, ...lines] = table;
+    const columns = header.map((column) => column.trim());
+    const unknown = columns.filter((column) => !TRANSFER_COLUMNS.includes(column));
+    const missing = REQUIRED_CSV_COLUMNS.filter((column) => !columns.includes(column));
+
+    if (unknown.length > 0) {
+        throw new CatalogImportError(`Unknown columns: ${unknown.join(', ')}. Use: ${TRANSFER_COLUMNS.join(', ')}`);
+    }
+    if (missing.length > 0) {
+        throw new CatalogImportError(`Missing columns: ${missing.join(', ')}`);
+    }
+
+    // CSV has no null: an empty cell clears the field, a missing column leaves it alone
+    return lines.map((cells) => {
+        const row = Object.fromEntries(columns.map((column, i) => [column, unguardCell(cells[i] ?? '')]));
+        if (cells.length !== columns.length) {
+            cellCounts.set(row, cells.length);
+        }
+        return row;
+    });
+};
+
+// The rows of an upload: CSV text, or JSON as an array of services or { services: [...] }
+const readImportRows = (body, { csv }) => {
+    let rows;
+    if (csv) {
+        rows = csvRows(body);
+    } else {
+        rows = Array.isArray(body) ? body : body?.services;
+        if (!Array.isArray(rows)) {
+            throw new CatalogImportError('Send a JSON array of services, or { "services": [...] }');
+        }
+    }
+
+    if (rows.length === 0) {
+        throw new CatalogImportError('There are no rows to import');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new CatalogImportError(`Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+    }
+    return rows;
+};
+
+const emptyToNull = (value) => (value === '' ? null : value);
+
+// Check one row and turn it into column values. Fields the row leaves out stay undefined.
+const validateRow = (raw) => {
+    const problems = [];
+    const values = {};
+
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { values, problems: [{ field: null, message: 'Each row must be an object' }] };
+    }
+    if (cellCounts.has(raw)) {
+        problems.push({ field: null, message: `Row has ${cellCounts.get(raw)} cells but the header has ${Object.keys(raw).length}` });
+    }
+
+    const unknown = Object.keys(raw).filter((key) => !TRANSFER_COLUMNS.includes(key));
+    if (unknown.length > 0) {
+        problems.push({ field: null, message: `Unknown fields: ${unknown.join(', ')}` });
+    }
+
+    const sku = typeof raw.sku === 'string' ? raw.sku.trim() : raw.sku;
+    if (typeof sku !== 'string' || !SKU_PATTERN.test(sku)) {
+        problems.push({ field: 'sku', message: 'sku is required: up to 64 letters, digits, dots, dashes or underscores' });
+    }
+    values.sku = sku;
+
+    for (const field of ['name', 'category', 'description', 'imageUrl']) {
+        const value = emptyToNull(typeof raw[field] === 'string' ? raw[field].trim() : raw[field]);
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            problems.push({ field, message: `${field} must be text` });
+        }
+        values[field] = value;
+    }
+    for (const field of ['name', 'category']) {
+        if (values[field] === null) {
+            problems.push({ field, message: `${field} cannot be empty` });
+        }
+    }
+
+    if (raw.price !== undefined) {
+        const price = emptyToNull(typeof raw.price === 'string' ? raw.price.trim() : raw.price);
+        values.price = price === null ? null : Number(price);
+        if (price !== null && (typeof price === 'boolean' || !Number.isFinite(values.price) || values.price < 0)) {
+            problems.push({ field: 'price', message: 'price must be a number of at least 0, or empty' });
+        }
+    }
+
+    return { values, problems };
+};
+
+// Column changes a row makes to an existing service
+const changesFor = (service, values, category) => {
+    const changes = {};
+    if (values.name !== undefined && values.name !== service.name) {
+        changes.name = values.name;
+    }
+    if (category && category.id !== service.category_id) {
+        changes.category_id = category.id;
+        changes.category = category.name;
+    }
+    if (values.price !== undefined && values.price !== service.price) {
+        changes.price = values.price;
+    }
+    if (values.description !== undefined && values.description !== service.description) {
+        changes.description = values.description;
+    }
+    if (values.imageUrl !== undefined && values.imageUrl !== service.imageurl) {
+        changes.imageUrl = values.imageUrl;
+    }
+    return changes;
+};
+
+// Thrown inside the transaction to roll back a run that found row errors
+class RejectedImport extends Error {}
+
+// Create or update services by sku, in one transaction. A dry run only reads. When any row
+// has errors nothing is written. Resolves to { result, services }: the report for the client,
+// and the services written ({ action, service }) for notifications.
+const importServices = async (db, rows, { dryRun = true, clock = systemClock } = {}) => {
+    const result = {
+        dryRun,
+        applied: false,
+        summary: { created: 0, updated: 0, restored: 0, unchanged: 0, invalid: 0 },
+        rows: [],
+        errors: [],
+    };
+    const services = [];
+
+    const run = async (tx) => {
+        const categories = new Map();
+        const skuRows = new Map();
+
+        for (const [index, raw] of rows.entries()) {
+            const row = index + 1;
+            const { values, problems } = validateRow(raw);
+
+            if (typeof values.sku === 'string') {
+                if (skuRows.has(values.sku)) {
+                    problems.push({ field: 'sku', message: `Duplicate sku; already used on row ${skuRows.get(values.sku)}` });
+                } else {
+                    skuRows.set(values.sku, row);
+                }
+            }
+
+            let category;
+            if (typeof values.category === 'string') {
+                if (!categories.has(values.category)) {
+                    categories.set(values.category, await resolveServiceCategory(tx, { category: values.category }));
+                }
+                category = categories.get(values.category);
+                if (!category) {
+                    problems.push({ field: 'category', message: `Unknown category "${values.category}"` });
+                }
+            }
+
+            const existing = problems.length > 0 ? undefined
+                : (await tx.query('SELECT * FROM services WHERE sku = $1 FOR UPDATE', [values.sku])).rows[0];
+
+            if (problems.length === 0 && !existing) {
+                // Exported SVC- skus match their services; a new one would take a future service's number
+                if (isGeneratedSku(values.sku)) {
+                    problems.push({ field: 'sku', message: `Skus starting with ${GENERATED_SKU_PREFIX} are reserved for services added without a sku` });
+                }
+                for (const field of ['name', 'category']) {
+                    if (values[field] === undefined) {
+                        problems.push({ field, message: `${field} is required for a new service` });
+                    }
+                }
+            }
+
+            if (problems.length > 0) {
+                result.summary.invalid += 1;
+                result.errors.push(...problems.map((problem) => ({ row, sku: values.sku ?? null, ...problem })));
+                continue;
+            }
+
+            const now = clock.now().toISOString();
+
+            if (!existing) {
+                result.summary.created += 1;
+                let id = null;
+                if (!dryRun) {
+                    const inserted = await tx.query(
+                        `INSERT INTO services (sku, category_id, category, name, price, imageUrl, description, created_at, updated_at)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+                         RETURNING *`,
+                        [values.sku, category.id, category.name, values.name, values.price ?? null, values.imageUrl ?? null, values.description ?? null, now]
+                    );
+                    id = inserted.rows[0].id;
+                    services.push({ action: 'create', service: inserted.rows[0] });
+                }
+                result.rows.push({ row, sku: values.sku, action: 'create', id });
+                continue;
+            }
+
+            const changes = changesFor(existing, values, category);
+            const restoring = existing.deleted_at !== null;
+            let action = 'unchanged';
+            if (restoring) {
+                action = 'restore';
+            } else if (Object.keys(changes).length > 0) {
+                action = 'update';
+            }
+
+            result.summary[{ unchanged: 'unchanged', update: 'updated', restore: 'restored' }[action]] += 1;
+            result.rows.push({ row, sku: values.sku, action, id: existing.id });
+
+            if (!dryRun && action !== 'unchanged') {
+                const columns = Object.keys(changes);
+                const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+                const updated = await tx.query(
+                    `UPDATE services SET ${[...assignments, `updated_at = $${columns.length + 1}`, 'deleted_at = NULL'].join(', ')}
+                     WHERE id = $${columns.length + 2}
+                     RETURNING *`,
+                    [...Object.values(changes), now, existing.id]
+                );
+                services.push({ action, service: updated.rows[0] });
+            }
+        }
+
+        if (result.errors.length > 0 && !dryRun) {
+            throw new RejectedImport();
+        }
+    };
+
+    try {
+        await db.transaction(run);
+    } catch (error) {
+        if (!(error instanceof RejectedImport)) {
+            throw error;
+        }
+        services.length = 0;
+    }
+
+    result.applied = !dryRun && result.errors.length === 0;
+    return { result, services };
+};
+
+// Every live service in the transfer format, ordered by sku
+const exportServices = async (db) => {
+    const result = await db.query(`
+        SELECT s.sku, s.name, COALESCE(c.slug, s.category) AS category, s.price, s.description, s.imageUrl
+        FROM services s
+        LEFT JOIN categories c ON c.id = s.category_id
+        WHERE s.deleted_at IS NULL
+        ORDER BY s.sku
+    `);
+    return result.rows.map((row) => ({
+        sku: row.sku,
+        name: row.name,
+        category: row.category,
+        price: row.price,
+        description: row.description,
+        imageUrl: row.imageurl,
+    }));
+};
+
+module.exports = {
+    TRANSFER_COLUMNS,
+    CatalogImportError,
+    readImportRows,
+    importServices,
+    exportServices,
+};
@@ -0,0 +1,79 @@
+// Category lookups and the tree helpers the category routes share.
+
+const slugify = (text) => text.toLowerCase().trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'category';
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// SQLite hands booleans back as 0/1
+const toCategory = (row) => row && { ...row, active: Boolean(row.active) };
+
+const listCategories = async (db, { includeInactive = false } = {}) => {
+    const result = await db.query(`
+        SELECT * FROM categories
+        ${includeInactive ? '' : 'WHERE active = TRUE'}
+        ORDER BY display_order, name
+    `);
+    return result.rows.map(toCategory);
+};
+
+const findCategoryBySlug = async (db, slug) => {
+    const result = await db.query('SELECT * FROM categories WHERE slug = $1', [slug]);
+    return toCategory(result.rows[0]);
+};
+
+const findCategoryById = async (db, id) => {
+    const result = await db.query('SELECT * FROM categories WHERE id = $1', [id]);
+    return toCategory(result.rows[0]);
+};
+
+// Resolve the category a service write refers to: categoryId, or (for older clients)
+// a category given by slug or by name, ignoring case and surrounding spaces.
+const resolveServiceCategory = async (db, { categoryId, category }) => {
+    if (categoryId !== undefined && categoryId !== null) {
+        return Number.isInteger(Number(categoryId)) ? findCategoryById(db, categoryId) : undefined;
+    }
+    if (typeof category !== 'string' || !category.trim()) {
+        return undefined;
+    }
+
+    const result = await db.query(
+        'SELECT * FROM categories WHERE slug = $1 OR LOWER(name) = $2 ORDER BY slug = $1 DESC LIMIT 1',
+        [category.trim(), category.trim().toLowerCase()]
+    );
+    return toCategory(result.rows[0]);
+};
+
+// Ids of the category and everything nested under it
+const descendantIds = (categories, rootId) => {
+    const ids = [rootId];
+    for (let i = 0; i < ids.length; i += 1) {
+        categories.filter((c) => c.parent_id === ids[i]).forEach((c) => ids.push(c.id));
+    }
+    return ids;
+};
+
+// Nest a flat list under its parents; categories whose parent is not in the list become roots
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map((c) => [c.id, { ...c, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = nodes.get(node.parent_id);
+        (parent ? parent.children : roots).push(node);
+    }
+    return roots;
+};
+
+module.exports = {
+    SLUG_PATTERN,
+    slugify,
+    toCategory,
+    listCategories,
+    findCategoryBySlug,
+    findCategoryById,
+    resolveServiceCategory,
+    descendantIds,
+    buildTree,
+};
@@ -0,0 +1,5 @@
+// Where the time comes from. Library functions that write timestamps take a { now() } clock,
+// defaulting to this one; createApp passes its own down so tests can pin the time.
+const systemClock = { now: () => new Date() };
+
+module.exports = { systemClock };
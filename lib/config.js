@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { checkNewPassword } = require('./passwords');
+
+// Settings from the environment (plus .env, which the entry points load), checked all at once
+// at startup and then handed around as one frozen object. NODE_ENV picks the profile:
+//   development  the default; missing secrets get throwaway values, with a warning
+//   test         quiet, in-memory SQLite and fixed secrets, so tests need no setup
+//   production   nothing insecure is filled in: a missing JWT secret, the default admin
+//                password or CORS open to every origin stops the server from starting
+// Nothing else reads process.env; libraries get their settings from here.
+
+const PROFILES = ['development', 'test', 'production'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const MIN_JWT_SECRET_LENGTH = 32;
+const DEFAULT_ADMIN_PASSWORD = 'default_password';
+const TEST_JWT_SECRET = 'test-only-jwt-secret-never-use-this-one';
+
+// Every problem found, so one restart fixes them all
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.problems = problems;
+    }
+}
+
+// Typed getters over env that note what is wrong instead of throwing at the first problem
+const createReader = (env) => {
+    const problems = [];
+    const warnings = [];
+
+    const text = (name, fallback) => {
+        const value = env[name]?.trim();
+        return value === undefined || value === '' ? fallback : value;
+    };
+
+    const integer = (name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+        const value = text(name);
+        if (value === undefined) {
+            return fallback;
+        }
+        if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+            problems.push(`${name} must be a whole number from ${min} to ${max}, not "${value}"`);
+            return fallback;
+        }
+        return Number(value);
+    };
+
+    const oneOf = (name, choices, fallback) => {
+        const value = text(name)?.toLowerCase();
+        if (value === undefined) {
+            return fallback;
+        }
+        if (!choices.includes(value)) {
+            problems.push(`${name} must be one of: ${choices.join(', ')}, not "${value}"`);
+            return fallback;
+        }
+        return value;
+    };
+
+    const flag = (name, fallback) => oneOf(name, ['true', 'false'], String(fallback)) === 'true';
+
+    const list = (name, fallback) => {
+        const value = text(name);
+        return value === undefined ? fallback : value.split(',').map((item) => item.trim()).filter(Boolean);
+    };
+
+    return { text, integer, oneOf, flag, list, problems, warnings };
+};
+
+// '15m', '1h', '2d' or plain seconds ('900') as seconds
+const parseDuration = (value) => {
+    const match = /^(\d+)\s*(s|m|h|d)?$/.exec(value);
+    if (!match) {
+        return null;
+    }
+    const unit = { s: 1, m: 60, h: 3600, d: 86400 }[match[2] ?? 's'];
+    return Number(match[1]) * unit;
+};
+
+const readDatabase = (read, profile) => {
+    const client = read.oneOf('DB_CLIENT', ['postgres', 'pg', 'sqlite'], profile === 'test' ? 'sqlite' : 'postgres');
+
+    if (client === 'sqlite') {
+        return { client, filename: read.text('SQLITE_FILENAME', profile === 'test' ? ':memory:' : 'raffApp.db') };
+    }
+
+    const database = {
+        client: 'postgres',
+        host: read.text('PG_HOST', 'localhost'),
+        port: read.integer('PG_PORT', 5432, { min: 1, max: 65535 }),
+        user: read.text('PG_USER', 'postgres'),
+        password: read.text('PG_PASSWORD', ''),
+        database: read.text('PG_DATABASE', 'newapp'),
+    };
+    if (profile === 'production' && !database.password) {
+        read.warnings.push('PG_PASSWORD is empty; the database must trust this host');
+    }
+    return database;
+};
+
+const readJwtSecret = (read, profile) => {
+    const secret = read.text('JWT_SECRET');
+
+    if (secret === undefined) {
+        if (profile === 'production') {
+            read.problems.push('JWT_SECRET is required in production');
+        } else if (profile === 'development') {
+            read.warnings.push('JWT_SECRET is not set; using a random one, so sign-ins end when the server restarts');
+        }
+        return profile === 'test' ? TEST_JWT_SECRET : crypto.randomBytes(32).toString('base64url');
+    }
+
+    if (secret.length < MIN_JWT_SECRET_LENGTH) {
+        const message = `JWT_SECRET must be at least ${MIN_JWT_SECRET_LENGTH} characters (it has ${secret.length})`;
+        if (profile === 'production') {
+            read.problems.push(message);
+        } else {
+            read.warnings.push(message);
+        }
+    }
+    return secret;
+};
+
+const readAuth = (read, profile) => {
+    const accessTokenTtl = read.text('ACCESS_TOKEN_TTL', '15m');
+    let accessTokenTtlSeconds = parseDuration(accessTokenTtl);
+    if (accessTokenTtlSeconds === null || accessTokenTtlSeconds < 60 || accessTokenTtlSeconds > 86400) {
+        read.problems.push(`ACCESS_TOKEN_TTL must be from 1m to 24h, e.g. "15m" or "900", not "${accessTokenTtl}"`);
+        accessTokenTtlSeconds = 900;
+    }
+
+    return {
+        jwtSecret: readJwtSecret(read, profile),
+        accessTokenTtlSeconds,
+        refreshTokenTtlDays: read.integer('REFRESH_TOKEN_TTL_DAYS', 30, { min: 1, max: 365 }),
+        passwordResetTtlMinutes: read.integer('PASSWORD_RESET_TTL_MINUTES', 60, { min: 5, max: 1440 }),
+        adminTwoFactorRequired: read.flag('ADMIN_2FA_REQUIRED', false),
+        // Shown in authenticator apps next to the account name
+        totpIssuer: read.text('TOTP_ISSUER', 'RaffApp'),
+    };
+};
+
+// '*' or exact origins such as https://shop.example.com
+const readCors = (read, profile) => {
+    const origins = read.list('CORS_ORIGINS', profile === 'production' ? [] : ['*']);
+
+    if (origins.includes('*')) {
+        if (profile === 'production') {
+            read.problems.push('CORS_ORIGINS cannot allow every origin ("*") in production; list the allowed origins');
+        }
+        return { origins: '*' };
+    }
+    if (origins.length === 0) {
+        read.problems.push('CORS_ORIGINS is required in production: a comma-separated list of the origins allowed to call the API');
+    }
+
+    origins.filter((origin) => !/^https?:\/\/[^/?#\s]+$/.test(origin)).forEach((origin) => {
+        read.problems.push(`CORS_ORIGINS entries must look like https://example.com, with no path; got "${origin}"`);
+    });
+    return { origins };
+};
+
+// Failed sign-ins allowed before a lockout, and how long it lasts (see lib/loginGuard.js)
+const readRateLimits = (read) => ({
+    login: {
+        maxFailuresPerUsername: read.integer('LOGIN_MAX_FAILURES', 5, { min: 3, max: 1000 }),
+        maxFailuresPerIp: read.integer('LOGIN_IP_MAX_FAILURES', 20, { min: 10, max: 10000 }),
+        lockoutMinutes: read.integer('LOGIN_LOCKOUT_MINUTES', 15, { min: 1, max: 1440 }),
+    },
+});
+
+// The account server.js creates on first start
+const readAdmin = (read, profile) => {
+    const username = read.text('ADMIN_USERNAME', 'ADMIN');
+    const password = read.text('ADMIN_PASSWORD');
+
+    if (password === undefined || password === DEFAULT_ADMIN_PASSWORD) {
+        if (profile === 'production') {
+            read.problems.push(`ADMIN_PASSWORD must be set in production, and not to "${DEFAULT_ADMIN_PASSWORD}"`);
+        } else if (profile === 'development') {
+            read.warnings.push(`The ${username} account gets the default password "${DEFAULT_ADMIN_PASSWORD}" if it does not exist yet`);
+        }
+        return { username, password: password ?? DEFAULT_ADMIN_PASSWORD };
+    }
+
+    const passwordError = checkNewPassword(password);
+    if (passwordError && profile === 'production') {
+        read.problems.push(`ADMIN_PASSWORD: ${passwordError}`);
+    }
+    return { username, password };
+};
+
+// Build the configuration for env, throwing a ConfigError listing every problem.
+// warnings holds what is allowed but worth knowing, for the boot log.
+const loadConfig = (env = process.env) => {
+    const read = createReader(env);
+    const profile = read.oneOf('NODE_ENV', PROFILES, 'development');
+
+    const config = {
+        profile,
+        port: read.integer('PORT', 3000, { max: 65535 }),
+        shutdownTimeoutMs: read.integer('SHUTDOWN_TIMEOUT_MS', 10000, { min: 1, max: 300000 }),
+        logLevel: read.oneOf('LOG_LEVEL', LOG_LEVELS, profile === 'test' ? 'silent' : 'info'),
+        database: readDatabase(read, profile),
+        auth: readAuth(read, profile),
+        cors: readCors(read, profile),
+        rateLimits: readRateLimits(read),
+        admin: readAdmin(read, profile),
+        metrics: { token: read.text('METRICS_TOKEN') ?? null },
+        notifier: {
+            driver: read.oneOf('NOTIFIER', ['outbox'], 'outbox'),
+            outboxFile: read.text('OUTBOX_FILE', 'outbox.log'),
+        },
+        media: {
+            driver: read.oneOf('MEDIA_STORAGE', ['local'], 'local'),
+            directory: read.text('MEDIA_DIR', 'uploads'),
+            maxBytes: read.integer('MEDIA_MAX_BYTES', 5 * 1024 * 1024, { min: 1024, max: 100 * 1024 * 1024 }),
+        },
+        // Services without a threshold of their own count as low at or under this many available
+        stock: { lowStockThreshold: read.integer('LOW_STOCK_THRESHOLD', 5, { max: 1000000 }) },
+        // Deliveries are retried after retryBaseSeconds, doubling each time, until maxAttempts
+        webhooks: {
+            maxAttempts: read.integer('WEBHOOK_MAX_ATTEMPTS', 8, { min: 1, max: 50 }),
+            retryBaseSeconds: read.integer('WEBHOOK_RETRY_BASE_SECONDS', 30, { min: 1, max: 3600 }),
+            pollIntervalMs: read.integer('WEBHOOK_POLL_INTERVAL_MS', 5000, { min: 100, max: 3600000 }),
+        },
+        idempotency: { keyTtlHours: read.integer('IDEMPOTENCY_KEY_TTL_HOURS', 24, { min: 1, max: 720 }) },
+        // Comments sent on idle event streams, so proxies do not close them
+        events: { heartbeatSeconds: read.integer('SSE_HEARTBEAT_SECONDS', 25, { min: 1, max: 3600 }) },
+    };
+
+    if (profile === 'production') {
+        if (!config.metrics.token) {
+            read.warnings.push('METRICS_TOKEN is not set; /metrics is open to anyone who can reach the server');
+        }
+        if (config.notifier.driver === 'outbox') {
+            read.warnings.push(`NOTIFIER is "outbox": password reset codes are only written to ${config.notifier.outboxFile}`);
+        }
+    }
+
+    if (read.problems.length > 0) {
+        throw new ConfigError(read.problems);
+    }
+    return deepFreeze({ ...config, warnings: read.warnings });
+};
+
+// Only the database settings, for tools such as bin/migrate.js that need nothing else
+const loadDatabaseConfig = (env = process.env) => {
+    const read = createReader(env);
+    const database = readDatabase(read, read.oneOf('NODE_ENV', PROFILES, 'development'));
+    if (read.problems.length > 0) {
+        throw new ConfigError(read.problems);
+    }
+    return database;
+};
+
+const deepFreeze = (value) => {
+    Object.values(value).forEach((item) => {
+        if (item && typeof item === 'object') {
+            deepFreeze(item);
+        }
+    });
+    return Object.freeze(value);
+};
+
+// The configuration for the boot log. Secrets are left out; for the optional ones a flag
+// says whether they are set.
+const summarizeConfig = (config) => {
+    const { warnings, ...settings } = config;
+    const { password, ...database } = config.database;
+    const { jwtSecret, ...auth } = config.auth;
+
+    return {
+        ...settings,
+        database: database.client === 'postgres' ? { ...database, passwordSet: Boolean(password) } : database,
+        auth,
+        admin: { username: config.admin.username },
+        metrics: { tokenSet: Boolean(config.metrics.token) },
+    };
+};
+
+module.exports = {
+    PROFILES,
+    ConfigError,
+    loadConfig,
+    loadDatabaseConfig,
+    summarizeConfig,
+};
@@ -0,0 +1,80 @@
+// CSV as spreadsheets expect it: RFC 4180 quoting and CRLF line endings
+
+// Cells starting with these are run as formulas by spreadsheet apps; a leading ' defuses them
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns is a list of row keys, used as the header line
+const toCsv = (columns, rows) => [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(formatCell).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+
+// Rows of cells from CSV text. Handles quoted fields (with embedded commas, quotes and line
+// breaks), CRLF or LF line endings and a leading byte order mark. Blank lines are skipped.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (; i < text.length; i += 1) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i += 1;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+};
+
+// Undo the formula guard toCsv adds, so exported files import back unchanged
+const unguardCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+module.exports = { toCsv, parseCsv, unguardCell };
@@ -0,0 +1,140 @@
+const { findActiveSession } = require('./sessions');
+const { systemClock } = require('./clock');
+
+// Live request events over Server-Sent Events. Each event is stored in the events table and
+// then handed to the in-process hub, which pushes it to every open stream that may see it.
+// Streams on another server instance only pick an event up when their client reconnects.
+
+const RETRY_MS = 5000;
+const REPLAY_PAGE_SIZE = 500;
+
+const createEventHub = () => {
+    // Each listener with the function that ends its stream
+    const listeners = new Map();
+    let closed = false;
+
+    return {
+        // Returns a function that removes the listener again
+        subscribe: (listener, end = () => {}) => {
+            listeners.set(listener, end);
+            return () => listeners.delete(listener);
+        },
+        publish: (event) => listeners.forEach((end, listener) => listener(event)),
+
+        // Ends every open stream, for shutdown. Clients reconnect with Last-Event-ID and
+        // pick up where they left off.
+        close: () => {
+            closed = true;
+            listeners.forEach((end) => end());
+            listeners.clear();
+        },
+        isClosed: () => closed,
+    };
+};
+
+// Store an event about a request. Resolves to the stored row.
+const recordEvent = async (db, { type, request, data, clock = systemClock }) => {
+    const result = await db.query(
+        `INSERT INTO events (type, request_id, username, data, created_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [type, request.id, request.username, JSON.stringify(data), clock.now().toISOString()]
+    );
+    return result.rows[0];
+};
+
+// Events after `afterId` in order, only the given user's when username is set
+const listEventsSince = async (db, afterId, { username = null, limit = REPLAY_PAGE_SIZE } = {}) => {
+    const result = username === null
+        ? await db.query('SELECT * FROM events WHERE id > $1 ORDER BY id LIMIT $2', [afterId, limit])
+        : await db.query('SELECT * FROM events WHERE id > $1 AND username = $2 ORDER BY id LIMIT $3', [afterId, username, limit]);
+    return result.rows;
+};
+
+const readLastEventId = (req) => {
+    const value = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const id = Number(value);
+    return value !== undefined && Number.isInteger(id) && id >= 0 ? id : null;
+};
+
+// Serve an event stream on `res`: first anything after the client's Last-Event-ID, then live
+// events as they happen, with a comment line as heartbeat. username scopes the stream to one
+// customer's requests; null sends everything. The stream ends when the session is revoked.
+const openEventStream = async (req, res, {
+    db,
+    hub,
+    username = null,
+    heartbeatSeconds = req.app.locals.config.events.heartbeatSeconds,
+}) => {
+    // A stream opened while the server drains would hold the shutdown up
+    if (hub.isClosed()) {
+        res.set('Retry-After', String(RETRY_MS / 1000));
+        return res.status(503).json({ error: 'Server is shutting down' });
+    }
+
+    const visible = (event) => username === null || event.username === username;
+    const send = (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${event.data}\n\n`);
+
+    // Live events that arrive while the backlog is being sent wait here, so none slip between the two
+    let pending = [];
+    const unsubscribe = hub.subscribe((event) => {
+        if (!visible(event)) {
+            return;
+        }
+        if (pending) {
+            pending.push(event);
+        } else {
+            send(event);
+        }
+    }, () => res.end());
+
+    const heartbeat = setInterval(async () => {
+        res.write(': heartbeat\n\n');
+        try {
+            if (!(await findActiveSession(db, req.user.sid))) {
+                res.end();
+            }
+        } catch (error) {
+            req.log.error('Error checking stream session', { error });
+        }
+    }, heartbeatSeconds * 1000);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop nginx from holding events back
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let lastSentId = readLastEventId(req);
+    try {
+        if (lastSentId !== null) {
+            let page;
+            do {
+                page = await listEventsSince(db, lastSentId, { username });
+                page.forEach(send);
+                lastSentId = page.length > 0 ? page[page.length - 1].id : lastSentId;
+            } while (page.length === REPLAY_PAGE_SIZE);
+        }
+    } catch (error) {
+        req.log.error('Error replaying events', { lastEventId: lastSentId, error });
+        return res.end();
+    }
+
+    pending.filter((event) => lastSentId === null || event.id > lastSentId).forEach(send);
+    pending = null;
+};
+
+module.exports = {
+    createEventHub,
+    recordEvent,
+    listEventsSince,
+    openEventStream,
+};
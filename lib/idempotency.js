@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { systemClock } = require('./clock');
+
+// Idempotency keys: the first request with a key runs and its response is kept; repeats of
+// the same request get that response back until the key expires.
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = ({ method, path, body }) => crypto.createHash('sha256')
+    .update(`${method} ${path}\n${canonicalJson(body ?? null)}`)
+    .digest('hex');
+
+// Take the key for this request, for ttlHours. Resolves to { claimed: true, id } when the caller
+// should go ahead, or { claimed: false, existing } with the row already stored under the key.
+const claimKey = async (db, { scope, key, requestHash, ttlHours, clock = systemClock }) => {
+    const now = clock.now();
+    await db.query('DELETE FROM idempotency_keys WHERE expires_at <= $1', [now.toISOString()]);
+
+    try {
+        const result = await db.query(
+            `INSERT INTO idempotency_keys (scope, key, request_hash, state, created_at, expires_at)
+             VALUES ($1, $2, $3, 'processing', $4, $5)
+             RETURNING id`,
+            [scope, key, requestHash, now.toISOString(), new Date(now.getTime() + ttlHours * 60 * 60 * 1000).toISOString()]
+        );
+        return { claimed: true, id: result.rows[0].id };
+    } catch (error) {
+        if (error.code !== '23505') {
+            throw error;
+        }
+    }
+
+    const existing = await db.query('SELECT * FROM idempotency_keys WHERE scope = $1 AND key = $2', [scope, key]);
+    return { claimed: false, existing: existing.rows[0] };
+};
+
+const saveResponse = (db, id, { status, body }) => db.query(
+    `UPDATE idempotency_keys SET state = 'completed', response_status = $1, response_body = $2
+     WHERE id = $3`,
+    [status, JSON.stringify(body), id]
+);
+
+// Give the key up so the request can be tried again, e.g. after a server error
+const releaseKey = (db, id) => db.query("DELETE FROM idempotency_keys WHERE id = $1 AND state = 'processing'", [id]);
+
+module.exports = {
+    hashRequest,
+    claimKey,
+    saveResponse,
+    releaseKey,
+};
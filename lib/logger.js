@@ -0,0 +1,72 @@
+// Structured logs: one JSON object per line on stdout, e.g.
+// {"time":"...","level":"info","msg":"Request completed","requestId":"...","status":200}
+// Anything under a key that looks like a credential is replaced before it is written, however
+// deeply it is nested, so request bodies and rows can be logged as they are. server.js builds
+// the logger at the configured LOG_LEVEL and hands it to the app.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// password, newPassword, token, refreshToken, secret, authorization, recoveryCodes, code...
+const SECRET_KEY = /pass(word)?|secret|token|authorization|cookie|recovery|^code$|api[-_]?key/i;
+// ...but not lifetimes such as accessTokenTtlSeconds, which the boot summary shows
+const DURATION_KEY = /ttl/i;
+const isSecretKey = (key) => SECRET_KEY.test(key) && !DURATION_KEY.test(key);
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack,
+});
+
+// A copy of value with the secrets blanked out
+const redact = (value, depth = 0) => {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return Array.isArray(value) ? '[Array]' : '[Object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value)
+        // A flag such as tokenSet says whether there is a secret, never what it is
+        .map(([key, item]) => [key, isSecretKey(key) && typeof item !== 'boolean' ? REDACTED : redact(item, depth + 1)]));
+};
+
+// '/api/events?access_token=abc&lastEventId=3' as '/api/events?access_token=[REDACTED]&lastEventId=3'
+const redactUrl = (url) => url.replace(/([?&])([^=&#]+)=([^&#]*)/g,
+    (param, separator, key) => (isSecretKey(key) ? `${separator}${key}=${REDACTED}` : param));
+
+// level: the least severe level written (debug, info, warn, error or silent).
+// fields go on every line; child() adds more, e.g. a request's correlation id.
+const createLogger = ({ level = 'info', stream = process.stdout, fields = {} } = {}) => {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}.`);
+    }
+
+    const write = (entryLevel, msg, data = {}) => {
+        if (LEVELS[entryLevel] < LEVELS[level]) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...redact({ ...fields, ...data }) };
+        stream.write(`${JSON.stringify(entry)}\n`);
+    };
+
+    return {
+        level,
+        debug: (msg, data) => write('debug', msg, data),
+        info: (msg, data) => write('info', msg, data),
+        warn: (msg, data) => write('warn', msg, data),
+        error: (msg, data) => write('error', msg, data),
+        child: (extra) => createLogger({ level, stream, fields: { ...fields, ...extra } }),
+    };
+};
+
+module.exports = { createLogger, redact, redactUrl };
@@ -0,0 +1,124 @@
+const { recordAudit } = require('./audit');
+const { systemClock } = require('./clock');
+
+// limits below is rateLimits.login from lib/config.js: the failures allowed per username and
+// per IP before a lockout, and lockoutMinutes, which is also how long failures keep counting.
+
+// Failures allowed before delays kick in; IPs get more slack since they can be shared
+const DELAY_AFTER_FAILURES = {
+    username: 3,
+    ip: 10,
+};
+const MAX_DELAY_SECONDS = 60;
+
+const isFuture = (value, now) => Boolean(value) && new Date(value) > now;
+
+// Whether a login may be attempted now. When not, retryAfter is in seconds.
+const checkLoginAllowed = async (db, { username, ip }, clock = systemClock) => {
+    const result = await db.query(
+        `SELECT scope, retry_at, locked_until FROM login_attempts
+         WHERE (scope = 'username' AND key = $1) OR (scope = 'ip' AND key = $2)`,
+        [username, ip]
+    );
+    const now = clock.now();
+    let blockedUntil = null;
+    let locked = false;
+
+    for (const row of result.rows) {
+        for (const until of [row.retry_at, row.locked_until]) {
+            if (isFuture(until, now) && (!blockedUntil || new Date(until) > blockedUntil)) {
+                blockedUntil = new Date(until);
+            }
+        }
+        locked = locked || isFuture(row.locked_until, now);
+    }
+
+    if (!blockedUntil) {
+        return { allowed: true };
+    }
+    return { allowed: false, locked, retryAfter: Math.ceil((blockedUntil - now) / 1000) };
+};
+
+const registerFailure = async (tx, scope, key, now, limits) => {
+    const maxFailures = scope === 'username' ? limits.maxFailuresPerUsername : limits.maxFailuresPerIp;
+    // Failures older than the lockout window no longer count
+    const windowMs = limits.lockoutMinutes * 60 * 1000;
+
+    const existing = await tx.query(
+        'SELECT failures, last_failed_at FROM login_attempts WHERE scope = $1 AND key = $2 FOR UPDATE',
+        [scope, key]
+    );
+    const row = existing.rows[0];
+    const stale = !row || now - new Date(row.last_failed_at) > windowMs;
+    const failures = (stale ? 0 : row.failures) + 1;
+
+    let retryAt = null;
+    let lockedUntil = null;
+    if (failures >= maxFailures) {
+        lockedUntil = new Date(now.getTime() + windowMs).toISOString();
+    } else if (failures >= DELAY_AFTER_FAILURES[scope]) {
+        const delaySeconds = Math.min(2 ** (failures - DELAY_AFTER_FAILURES[scope]), MAX_DELAY_SECONDS);
+        retryAt = new Date(now.getTime() + delaySeconds * 1000).toISOString();
+    }
+
+    await tx.query(
+        `INSERT INTO login_attempts (scope, key, failures, last_failed_at, retry_at, locked_until)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (scope, key) DO UPDATE SET
+            failures = excluded.failures,
+            last_failed_at = excluded.last_failed_at,
+            retry_at = excluded.retry_at,
+            locked_until = excluded.locked_until`,
+        [scope, key, failures, now.toISOString(), retryAt, lockedUntil]
+    );
+
+    return { failures, locked: Boolean(lockedUntil) };
+};
+
+// Count a failed login against both the username and the IP, auditing any new lockout
+const recordLoginFailure = (db, { username, ip }, limits, clock = systemClock) => db.transaction(async (tx) => {
+    const now = clock.now();
+
+    for (const [scope, key] of [['username', username], ['ip', ip]]) {
+        const { failures, locked } = await registerFailure(tx, scope, key, now, limits);
+
+        if (locked) {
+            await recordAudit(tx, {
+                action: 'auth.lockout',
+                target: `${scope}:${key}`,
+                details: { failures, lockedForMinutes: limits.lockoutMinutes },
+                ip,
+                clock,
+            });
+        }
+    }
+});
+
+// A successful login wipes the username's slate; the IP keeps counting down on its own
+const recordLoginSuccess = (db, { username }) => db.query(
+    "DELETE FROM login_attempts WHERE scope = 'username' AND key = $1",
+    [username]
+);
+
+const listLockouts = (db, clock = systemClock) => db.query(
+    `SELECT id, scope, key, failures, last_failed_at, locked_until FROM login_attempts
+     WHERE locked_until > $1 ORDER BY locked_until DESC`,
+    [clock.now().toISOString()]
+);
+
+// Returns the removed row, or undefined if there was none
+const clearLockout = async (db, id) => {
+    const result = await db.query(
+        'DELETE FROM login_attempts WHERE id = $1 RETURNING id, scope, key, failures, locked_until',
+        [id]
+    );
+    return result.rows[0];
+};
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    listLockouts,
+    clearLockout,
+};
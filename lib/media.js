@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { systemClock } = require('./clock');
+
+// Image types we accept, recognised by their leading bytes rather than what the client claims
+const IMAGE_SIGNATURES = [
+    { contentType: 'image/jpeg', extension: 'jpg', matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { contentType: 'image/png', extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { contentType: 'image/gif', extension: 'gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+    { contentType: 'image/webp', extension: 'webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+const sniffImageType = (buffer) => IMAGE_SIGNATURES.find((signature) => signature.matches(buffer));
+
+// Store an uploaded image as the service's picture and point imageUrl at it.
+// Returns the updated service; images the service no longer uses are removed.
+const attachServiceImage = async (db, storage, serviceId, buffer, imageType, clock = systemClock) => {
+    const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+    const storageKey = `${crypto.randomUUID()}.${imageType.extension}`;
+
+    // Write the file first; a crash afterwards leaves an unreferenced file, never a row without one
+    await storage.put(storageKey, buffer);
+
+    try {
+        const { service, replaced } = await db.transaction(async (tx) => {
+            const inserted = await tx.query(
+                `INSERT INTO media (service_id, storage_key, content_type, size_bytes, checksum, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+                [serviceId, storageKey, imageType.contentType, buffer.length, checksum, clock.now().toISOString()]
+            );
+            const mediaId = inserted.rows[0].id;
+            const updated = await tx.query(
+                'UPDATE services SET imageUrl = $1, updated_at = $2 WHERE id = $3 RETURNING *',
+                [`/api/media/${mediaId}`, clock.now().toISOString(), serviceId]
+            );
+            const previous = await tx.query(
+                'DELETE FROM media WHERE service_id = $1 AND id <> $2 RETURNING storage_key',
+                [serviceId, mediaId]
+            );
+            return { service: updated.rows[0], replaced: previous.rows };
+        });
+
+        await Promise.all(replaced.map((row) => storage.delete(row.storage_key)));
+        return service;
+    } catch (error) {
+        await storage.delete(storageKey);
+        throw error;
+    }
+};
+
+// Remove every image belonging to a service, rows and files both
+const deleteServiceMedia = async (db, storage, serviceId) => {
+    const result = await db.query('DELETE FROM media WHERE service_id = $1 RETURNING storage_key', [serviceId]);
+    await Promise.all(result.rows.map((row) => storage.delete(row.storage_key)));
+};
+
+const findMedia = async (db, id) => {
+    const result = await db.query('SELECT * FROM media WHERE id = $1', [id]);
+    return result.rows[0];
+};
+
+module.exports = {
+    sniffImageType,
+    attachServiceImage,
+    deleteServiceMedia,
+    findMedia,
+};
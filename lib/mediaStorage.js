@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local disk driver: one file per key under `directory`
+const createLocalStorage = ({ directory }) => {
+    const pathFor = (key) => path.join(directory, path.basename(key));
+
+    return {
+        put: async (key, buffer) => {
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(pathFor(key), buffer);
+        },
+        createReadStream: (key) => fs.createReadStream(pathFor(key)),
+        delete: async (key) => {
+            try {
+                await fs.promises.unlink(pathFor(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        },
+    };
+};
+
+// Media storage for the media settings from lib/config.js. Every driver exposes put,
+// createReadStream and delete.
+const createMediaStorage = ({ driver, directory }) => {
+    if (driver === 'local') {
+        return createLocalStorage({ directory });
+    }
+
+    throw new Error(`Unsupported media storage "${driver}". Use "local".`);
+};
+
+module.exports = { createMediaStorage };
@@ -0,0 +1,141 @@
+// Metrics in the Prometheus text format (version 0.0.4), served at /metrics. Counters and
+// histograms are updated as things happen; gauges are read from their collect function at
+// scrape time.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latencies in seconds, from 5ms to 10s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// { method: 'GET', route: '/api/services' } as {method="GET",route="/api/services"}
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isFinite(value) ? String(value) : 'NaN';
+};
+
+const createRegistry = () => {
+    const metrics = [];
+
+    const register = (name, help, type, samples) => {
+        if (metrics.some((metric) => metric.name === name)) {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+        metrics.push({ name, help, type, samples });
+    };
+
+    const counter = ({ name, help }) => {
+        const values = new Map();
+        register(name, help, 'counter', () => [...values.values()]
+            .map(({ labels, value }) => ({ name, labels, value })));
+
+        return {
+            inc: (labels = {}, by = 1) => {
+                const key = formatLabels(labels);
+                const current = values.get(key) ?? { labels, value: 0 };
+                values.set(key, { labels, value: current.value + by });
+            },
+        };
+    };
+
+    const histogram = ({ name, help, buckets = DEFAULT_BUCKETS }) => {
+        const series = new Map();
+        register(name, help, 'histogram', () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((le, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(le) }, value: counts[i] })),
+            { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+            { name: `${name}_sum`, labels, value: sum },
+            { name: `${name}_count`, labels, value: count },
+        ]));
+
+        return {
+            observe: (labels, value) => {
+                const key = formatLabels(labels);
+                const current = series.get(key) ?? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                buckets.forEach((le, i) => {
+                    if (value <= le) {
+                        current.counts[i] += 1;
+                    }
+                });
+                current.sum += value;
+                current.count += 1;
+                series.set(key, current);
+            },
+        };
+    };
+
+    // collect() returns [{ labels, value }], or a promise of them
+    const gauge = ({ name, help, collect }) => {
+        register(name, help, 'gauge', async () => (await collect())
+            .map(({ labels = {}, value }) => ({ name, labels, value })));
+    };
+
+    // Every metric in the text format
+    const render = async () => {
+        const blocks = await Promise.all(metrics.map(async ({ name, help, type, samples }) => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...(await samples()).map((sample) => `${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`),
+        ].join('\n')));
+        return `${blocks.join('\n')}\n`;
+    };
+
+    return { counter, histogram, gauge, render };
+};
+
+// Uptime and memory of this process
+const registerProcessMetrics = (registry) => {
+    const startedAt = Date.now();
+
+    registry.gauge({
+        name: 'process_uptime_seconds',
+        help: 'Seconds since the process started',
+        collect: () => [{ value: (Date.now() - startedAt) / 1000 }],
+    });
+    registry.gauge({
+        name: 'process_resident_memory_bytes',
+        help: 'Resident memory size in bytes',
+        collect: () => [{ value: process.memoryUsage().rss }],
+    });
+    registry.gauge({
+        name: 'nodejs_heap_used_bytes',
+        help: 'V8 heap in use, in bytes',
+        collect: () => [{ value: process.memoryUsage().heapUsed }],
+    });
+};
+
+// Connections of the database pool by state, and queries waiting for one
+const registerDatabaseMetrics = (registry, db) => {
+    registry.gauge({
+        name: 'db_pool_connections',
+        help: 'Database connections by state',
+        collect: () => {
+            const { total, idle } = db.stats();
+            return [
+                { labels: { dialect: db.dialect, state: 'total' }, value: total },
+                { labels: { dialect: db.dialect, state: 'idle' }, value: idle },
+                { labels: { dialect: db.dialect, state: 'active' }, value: total - idle },
+            ];
+        },
+    });
+    registry.gauge({
+        name: 'db_pool_waiting_queries',
+        help: 'Queries waiting for a free database connection',
+        collect: () => [{ labels: { dialect: db.dialect }, value: db.stats().waiting }],
+    });
+};
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    createRegistry,
+    registerProcessMetrics,
+    registerDatabaseMetrics,
+};
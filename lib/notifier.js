@@ -0,0 +1,21 @@
+const fs = require('fs');
+const { systemClock } = require('./clock');
+
+// Development driver: append each message as a JSON line to a local outbox file
+const createOutboxNotifier = ({ file, clock }) => ({
+    send: async ({ to, subject, text }) => {
+        const entry = { to, subject, text, sentAt: clock.now().toISOString() };
+        await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    },
+});
+
+// Notifier for the notifier settings from lib/config.js. Every driver exposes send({ to, subject, text }).
+const createNotifier = ({ driver, outboxFile }, clock = systemClock) => {
+    if (driver === 'outbox') {
+        return createOutboxNotifier({ file: outboxFile, clock });
+    }
+
+    throw new Error(`Unsupported notifier "${driver}". Use "outbox".`);
+};
+
+module.exports = { createNotifier };
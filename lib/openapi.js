@@ -0,0 +1,195 @@
+const { STATUS_CODES } = require('http');
+
+// OpenAPI 3.1 description of the API, built from the tables the server itself runs on: the
+// route schemas (inputs, responses) and the route permissions (who may call what).
+
+const PARAMETER_LOCATIONS = { params: 'path', query: 'query', headers: 'header' };
+
+const problem = (description) => ({
+    description,
+    content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+});
+
+const ERROR_RESPONSES = {
+    BadRequest: problem('The request did not match its schema; errors lists each field'),
+    Unauthorized: problem('Missing, invalid or revoked token'),
+    Forbidden: problem('The account lacks the permission this route needs'),
+    NotFound: problem('No such resource'),
+    Problem: problem('Any other error'),
+};
+
+// '/api/services/:id' as '/api/services/{id}'
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// The path with its parameters blanked out: '/api/categories/{}'
+const pathShape = (path) => path.replace(/[:{](\w+)\}?/g, '{}');
+
+const pathParameterNames = (path) => [...path.matchAll(/[:{](\w+)/g)].map((match) => match[1]);
+
+// 'GET /api/services/:id' as 'getServicesById'
+const operationId = (method, path) => path.split('/').slice(2)
+    .map((segment) => (segment.startsWith(':') ? `by-${segment.slice(1)}` : segment))
+    .join('-')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .reduce((id, word) => id + word[0].toUpperCase() + word.slice(1), method.toLowerCase());
+
+// Header names as usually written, e.g. idempotency-key as Idempotency-Key
+const headerName = (name) => name.replace(/(^|-)([a-z])/g, (match, dash, letter) => dash + letter.toUpperCase());
+
+// pathNames renames path parameters, for routes documented under another route's path
+const parameters = (route, pathNames) => Object.entries(PARAMETER_LOCATIONS).flatMap(([location, where]) => {
+    const schema = route[location];
+    return Object.entries(schema?.properties ?? {}).map(([name, property]) => {
+        const parameter = {
+            name: (where === 'header' && headerName(name)) || (where === 'path' && pathNames[name]) || name,
+            in: where,
+            required: where === 'path' || (schema.required ?? []).includes(name),
+            schema: property,
+        };
+        if (parameter.name !== name && where === 'path') {
+            parameter.description = `The ${name}`;
+        }
+        return parameter;
+    });
+});
+
+const requestBody = (route) => {
+    if (route.requestContent) {
+        return {
+            content: Object.fromEntries(Object.entries(route.requestContent).map(([type, schema]) => [type, { schema }])),
+        };
+    }
+    return route.body && { required: true, content: { 'application/json': { schema: route.body } } };
+};
+
+// A response is a JSON Schema for a JSON body, or { content, headers } for anything else.
+// Error statuses are problem documents carrying the schema's fields as extensions.
+const response = (status, declared) => {
+    const isError = Number(status) >= 400;
+    const content = declared.content ?? { 'application/json': declared };
+    const documented = {
+        description: STATUS_CODES[status],
+        content: Object.fromEntries(Object.entries(content).map(([type, schema]) => (isError
+            ? ['application/problem+json', { schema: { allOf: [{ $ref: '#/components/schemas/Problem' }, schema] } }]
+            : [type, { schema }]))),
+    };
+    if (declared.headers) {
+        documented.headers = Object.fromEntries(Object.entries(declared.headers)
+            .map(([name, description]) => [name, { description, schema: { type: 'string' } }]));
+    }
+    return documented;
+};
+
+const operation = (routeKey, route, permission, pathNames) => {
+    const [method, path] = routeKey.split(' ');
+    const errorRef = (name) => ({ $ref: `#/components/responses/${name}` });
+    const responses = Object.fromEntries(Object.entries(route.responses ?? {})
+        .map(([status, declared]) => [status, response(status, declared)]));
+
+    if (['params', 'query', 'headers', 'body'].some((location) => route[location])) {
+        responses[400] ??= errorRef('BadRequest');
+    }
+    if (permission !== null) {
+        responses[401] ??= errorRef('Unauthorized');
+        responses[403] ??= errorRef('Forbidden');
+    }
+    if (route.params) {
+        responses[404] ??= errorRef('NotFound');
+    }
+    responses.default = errorRef('Problem');
+
+    const documented = {
+        operationId: operationId(method, path),
+        summary: route.summary,
+        tags: [path.split('/')[2]],
+        security: permission === null ? [] : [{ bearerAuth: [] }],
+    };
+    if (permission !== null) {
+        documented.description = `Requires the ${permission} permission.`;
+        documented['x-permission'] = permission;
+    }
+
+    const described = parameters(route, pathNames);
+    if (described.length > 0) {
+        documented.parameters = described;
+    }
+    const body = requestBody(route);
+    if (body) {
+        documented.requestBody = body;
+    }
+    documented.responses = responses;
+    return documented;
+};
+
+// routes: ROUTE_SCHEMAS, permissions: ROUTE_PERMISSIONS, schemas: the shared resource schemas
+const buildOpenApiDocument = ({ routes, permissions, schemas, version, license }) => {
+    const paths = {};
+    const pathsByShape = new Map();
+
+    for (const [routeKey, route] of Object.entries(routes)) {
+        const [method, path] = routeKey.split(' ');
+
+        // OpenAPI treats paths that differ only in parameter names as the same path, so
+        // e.g. /api/requests/:username is documented under /api/requests/{id}
+        const shape = pathShape(path);
+        if (!pathsByShape.has(shape)) {
+            pathsByShape.set(shape, toOpenApiPath(path));
+        }
+        const openApiPath = pathsByShape.get(shape);
+        const documentedNames = pathParameterNames(openApiPath);
+        const pathNames = Object.fromEntries(pathParameterNames(path).map((name, i) => [name, documentedNames[i]]));
+
+        paths[openApiPath] = {
+            ...paths[openApiPath],
+            [method.toLowerCase()]: operation(routeKey, route, permissions[routeKey] ?? null, pathNames),
+        };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'raffApp API',
+            version,
+            description: 'Service catalog and customer requests. Errors are RFC 7807 problem documents.',
+            ...(license && { license: { name: license, identifier: license } }),
+        },
+        servers: [{ url: '/' }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            },
+            schemas,
+            responses: ERROR_RESPONSES,
+        },
+    };
+};
+
+// Routes on a router stack, including those of routers mounted on it. The route modules are
+// mounted without a prefix, so their paths are already full paths.
+const listStackRoutes = (stack) => stack.flatMap((layer) => {
+    if (layer.route) {
+        return Object.keys(layer.route.methods).map((method) => `${method.toUpperCase()} ${layer.route.path}`);
+    }
+    return layer.name === 'router' ? listStackRoutes(layer.handle.stack) : [];
+});
+
+// Every route registered on an Express app, as 'METHOD /path'
+const listExpressRoutes = (app) => listStackRoutes(app._router.stack);
+
+// API routes the app registers that the document does not describe, and the other way round.
+// The probes outside /api (/healthz, /metrics...) are for the platform, not API clients.
+const compareWithApp = (app, document) => {
+    const registered = listExpressRoutes(app).filter((route) => route.includes(' /api/'));
+    const documented = Object.entries(document.paths).flatMap(([path, operations]) => Object.keys(operations)
+        .map((method) => `${method.toUpperCase()} ${pathShape(path)}`));
+    const registeredShapes = registered.map((route) => route.replace(/ .*/, (path) => pathShape(path)));
+
+    return {
+        undocumented: registered.filter((route, i) => !documented.includes(registeredShapes[i])),
+        unregistered: documented.filter((route) => !registeredShapes.includes(route)),
+    };
+};
+
+module.exports = { buildOpenApiDocument, listExpressRoutes, compareWithApp };
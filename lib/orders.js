@@ -0,0 +1,122 @@
+const { recordStatusChange } = require('./requestStatus');
+const { reserveStock } = require('./stock');
+const { systemClock } = require('./clock');
+
+const MAX_ITEMS = 50;
+
+class OrderError extends Error {}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Check the requested items and merge repeats of the same service.
+// Accepts { items: [{ serviceId, quantity }] }, or the older single { product_name, quantity }.
+const normalizeItems = ({ items, product_name, quantity }) => {
+    const list = items ?? (product_name ? [{ productName: product_name, quantity }] : undefined);
+
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new OrderError('Send items as a non-empty list of { serviceId, quantity }');
+    }
+    if (list.length > MAX_ITEMS) {
+        throw new OrderError(`A request can have at most ${MAX_ITEMS} items`);
+    }
+
+    const merged = new Map();
+    list.forEach((item, index) => {
+        const ref = item?.serviceId ?? item?.productName;
+        const amount = Number(item?.quantity);
+
+        if (item?.productName === undefined && !Number.isInteger(item?.serviceId)) {
+            throw new OrderError(`items[${index}].serviceId must be a whole number`);
+        }
+        if (!Number.isInteger(amount) || amount < 1) {
+            throw new OrderError(`items[${index}].quantity must be a whole number of at least 1`);
+        }
+
+        const existing = merged.get(ref);
+        merged.set(ref, { ...item, quantity: (existing?.quantity ?? 0) + amount });
+    });
+    return [...merged.values()];
+};
+
+// Look up each item's live service inside the transaction and snapshot its name and price
+const priceItems = async (tx, items) => {
+    const lines = [];
+
+    for (const item of items) {
+        const result = item.serviceId !== undefined
+            ? await tx.query('SELECT id, name, price FROM services WHERE id = $1 AND deleted_at IS NULL', [item.serviceId])
+            : await tx.query(
+                'SELECT id, name, price FROM services WHERE LOWER(name) = $1 AND deleted_at IS NULL ORDER BY id LIMIT 1',
+                [String(item.productName).trim().toLowerCase()]
+            );
+        const service = result.rows[0];
+
+        if (!service) {
+            throw new OrderError(`Service ${item.serviceId ?? `"${item.productName}"`} does not exist or is no longer offered`);
+        }
+
+        const unitPrice = service.price ?? null;
+        lines.push({
+            serviceId: service.id,
+            name: service.name,
+            unitPrice,
+            quantity: item.quantity,
+            lineTotal: unitPrice === null ? null : roundMoney(unitPrice * item.quantity),
+        });
+    }
+    return lines;
+};
+
+// File a request for the user with its line items, price snapshots, stock reservations and
+// opening history entry, dated by the clock. Unpriced items are left out of the total.
+// Throws StockError when a tracked service does not have enough available.
+const createOrder = (db, { user, items, clock = systemClock }) => db.transaction(async (tx) => {
+    const lines = await priceItems(tx, items);
+    const total = roundMoney(lines.reduce((sum, line) => sum + (line.lineTotal ?? 0), 0));
+
+    // Older clients still read a single product name and quantity
+    const summary = lines.map((line) => (lines.length > 1 ? `${line.name} x${line.quantity}` : line.name)).join(', ');
+    const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+    const result = await tx.query(
+        `INSERT INTO requests (username, product_name, quantity, status, total, request_date)
+         VALUES ($1, $2, $3, 'Pending', $4, $5)
+         RETURNING *`,
+        [user.username, summary, quantity, total, clock.now().toISOString()]
+    );
+    const request = result.rows[0];
+
+    for (const line of lines) {
+        const reserved = await reserveStock(tx, { serviceId: line.serviceId, quantity: line.quantity, requestId: request.id, actor: user, clock });
+        await tx.query(
+            `INSERT INTO request_items (request_id, service_id, name, unit_price, quantity, line_total, reserved_quantity)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [request.id, line.serviceId, line.name, line.unitPrice, line.quantity, line.lineTotal, reserved]
+        );
+    }
+    await recordStatusChange(tx, { requestId: request.id, from: null, to: 'Pending', actor: user, clock });
+
+    return (await attachItems(tx, [request]))[0];
+});
+
+// Bound parameters per query stay well under SQLite's and PostgreSQL's limits
+const ITEM_LOOKUP_BATCH = 500;
+
+// Add each request's line items as request.items, one query per batch of requests
+const attachItems = async (db, requests) => {
+    const itemsByRequest = new Map(requests.map((request) => [request.id, []]));
+
+    for (let start = 0; start < requests.length; start += ITEM_LOOKUP_BATCH) {
+        const ids = requests.slice(start, start + ITEM_LOOKUP_BATCH).map((request) => request.id);
+        const result = await db.query(
+            `SELECT id, request_id, service_id, name, unit_price, quantity, line_total
+             FROM request_items WHERE request_id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')}) ORDER BY id`,
+            ids
+        );
+        result.rows.forEach(({ request_id, ...item }) => itemsByRequest.get(request_id).push(item));
+    }
+
+    return requests.map((request) => ({ ...request, items: itemsByRequest.get(request.id) }));
+};
+
+module.exports = { OrderError, normalizeItems, createOrder, attachItems };
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { systemClock } = require('./clock');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+// Returns an error message for an unacceptable new password, or null
+const checkNewPassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Issue a reset token for the user, replacing any they have not used yet
+const createResetToken = (db, userId, ttlMinutes, clock = systemClock) => db.transaction(async (tx) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = clock.now();
+    const expiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000);
+
+    await tx.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [userId]);
+    await tx.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, created_at, expires_at)
+         VALUES ($1, $2, $3, $4)`,
+        [userId, hashToken(token), now.toISOString(), expiresAt.toISOString()]
+    );
+
+    return { token, expiresAt };
+});
+
+// Spend a reset token on a new password. Returns the user id, or null if the token is no good.
+const consumeResetToken = (db, token, newPassword, clock = systemClock) => db.transaction(async (tx) => {
+    const now = clock.now().toISOString();
+    const result = await tx.query(
+        `UPDATE password_reset_tokens SET used_at = $1
+         WHERE token_hash = $2 AND used_at IS NULL AND expires_at > $1
+         RETURNING user_id`,
+        [now, hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const userId = result.rows[0].user_id;
+    await tx.query('UPDATE users SET password = $1 WHERE id = $2', [await hashPassword(newPassword), userId]);
+
+    return userId;
+});
+
+module.exports = {
+    hashPassword,
+    checkNewPassword,
+    createResetToken,
+    consumeResetToken,
+};
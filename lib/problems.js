@@ -0,0 +1,65 @@
+const { STATUS_CODES } = require('http');
+
+// Every error response is an RFC 7807 problem document, sent as application/problem+json:
+// { type, title, status, detail, instance }, plus errors: [{ in, field, message }] when the
+// input was invalid. Older clients read the message from error, so it repeats detail.
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Thrown for a request that cannot be served as sent; status is the HTTP status to answer with
+class ProblemError extends Error {
+    constructor(status, detail, extensions = {}) {
+        super(detail);
+        this.status = status;
+        this.extensions = extensions;
+    }
+}
+
+const problemDocument = (req, status, detail, extensions = {}) => ({
+    type: 'about:blank',
+    title: STATUS_CODES[status] ?? 'Error',
+    status,
+    detail,
+    // The path only: query strings can carry tokens (see acceptQueryToken)
+    instance: req.originalUrl.split('?')[0],
+    ...extensions,
+    error: detail,
+});
+
+// Database errors caused by the request rather than the server, by SQLSTATE. The SQLite
+// adapter reports its constraint failures under the same codes.
+const DATABASE_PROBLEMS = {
+    23505: { status: 409, detail: (field) => (field ? `${field} already exists` : 'This conflicts with an existing record') },
+    23503: { status: 409, detail: () => 'This refers to a record that does not exist, or is still in use' },
+    23502: { status: 400, detail: (field) => (field ? `${field} is required` : 'A required value is missing') },
+    23514: { status: 400, detail: () => 'A value is outside its allowed range' },
+    '22P02': { status: 400, detail: () => 'A value has the wrong type' },
+    22003: { status: 400, detail: () => 'A number is out of range' },
+    22001: { status: 400, detail: () => 'A value is too long' },
+};
+
+// The column a constraint error is about, when the database says
+const violatedColumn = (error) => {
+    if (error.column) {
+        return error.column;
+    }
+    const pgKey = /^Key \(([^)]+)\)=/.exec(error.detail ?? '');
+    if (pgKey) {
+        return pgKey[1];
+    }
+    const sqliteColumn = /constraint failed: \w+\.(\w+)/.exec(error.message ?? '');
+    return sqliteColumn ? sqliteColumn[1] : null;
+};
+
+// { status, detail } for a database error the client caused, otherwise null
+const mapDatabaseError = (error) => {
+    const problem = DATABASE_PROBLEMS[error?.code];
+    return problem ? { status: problem.status, detail: problem.detail(violatedColumn(error)) } : null;
+};
+
+module.exports = {
+    PROBLEM_CONTENT_TYPE,
+    ProblemError,
+    problemDocument,
+    mapDatabaseError,
+};
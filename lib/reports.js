@@ -0,0 +1,330 @@
+const { systemClock } = require('./clock');
+
+// Management reports over requests filed in a date range. Ranges are whole UTC days: from and
+// to are YYYY-MM-DD and both included, defaulting to the last 30 days. Every report resolves
+// to { columns, rows, ...parameters } so it can be sent as JSON or as CSV.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 1000;
+const INTERVALS = ['day', 'week', 'month'];
+
+// The happy path through the lifecycle, in order
+const FUNNEL_STAGES = ['Pending', 'Approved', 'Dispatched', 'Delivered'];
+
+class ReportQueryError extends Error {}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDay = (value, name) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!DATE_PATTERN.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        throw new ReportQueryError(`${name} must be a date such as 2024-05-01`);
+    }
+    return date;
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// request_date is a zone-less TIMESTAMP (text on SQLite), so bounds are given in the same
+// "YYYY-MM-DD HH:MM:SS" form, which compares correctly on both databases
+const toTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Zone-less timestamps are UTC
+const toDate = (value) => {
+    if (value === null || value === undefined || value instanceof Date) {
+        return value ?? null;
+    }
+    return new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+};
+
+// request_date as a Date. node-pg reads zone-less TIMESTAMP columns as local time, so on
+// PostgreSQL its fields are taken back as the UTC they were written in.
+const requestDate = (value) => {
+    if (!(value instanceof Date)) {
+        return toDate(value);
+    }
+    return new Date(Date.UTC(
+        value.getFullYear(),
+        value.getMonth(),
+        value.getDate(),
+        value.getHours(),
+        value.getMinutes(),
+        value.getSeconds(),
+        value.getMilliseconds()
+    ));
+};
+
+const parseRange = (query, clock) => {
+    const today = parseDay(formatDay(clock.now()), 'to');
+    const to = query.to === undefined ? today : parseDay(String(query.to), 'to');
+    const from = query.from === undefined
+        ? new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)
+        : parseDay(String(query.from), 'from');
+
+    if (from > to) {
+        throw new ReportQueryError('from must not be after to');
+    }
+
+    return {
+        from,
+        to,
+        // Half-open bounds for SQL: [start, end)
+        bounds: [toTimestamp(from), toTimestamp(new Date(to.getTime() + DAY_MS))],
+    };
+};
+
+const parseLimit = (value, fallback) => {
+    const limit = value === undefined ? fallback : Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        throw new ReportQueryError('limit must be a whole number from 1 to 1000');
+    }
+    return limit;
+};
+
+const round = (value, places = 2) => (value === null ? null : Number(value.toFixed(places)));
+
+// First day of the bucket a date falls in: the day itself, its ISO week's Monday or the 1st
+const bucketStart = (date, interval) => {
+    if (interval === 'week') {
+        return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    }
+    if (interval === 'month') {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    }
+    return date;
+};
+
+const nextBucket = (date, interval) => {
+    if (interval === 'week') {
+        return new Date(date.getTime() + 7 * DAY_MS);
+    }
+    if (interval === 'month') {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    }
+    return new Date(date.getTime() + DAY_MS);
+};
+
+// SQL for the bucket label (YYYY-MM-DD of the bucket's first day) of a timestamp column
+const bucketExpression = (dialect, column, interval) => {
+    if (dialect === 'sqlite') {
+        return {
+            day: `date(${column})`,
+            week: `date(${column}, 'weekday 0', '-6 days')`,
+            month: `strftime('%Y-%m-01', ${column})`,
+        }[interval];
+    }
+    return `to_char(date_trunc('${interval}', ${column}), 'YYYY-MM-DD')`;
+};
+
+// Requests filed per day, week or month; buckets without any are included as zeroes
+const volumeReport = async (db, query, clock = systemClock) => {
+    const { from, to, bounds } = parseRange(query, clock);
+    const interval = query.interval ?? 'day';
+
+    if (!INTERVALS.includes(interval)) {
+        throw new ReportQueryError(`interval must be one of: ${INTERVALS.join(', ')}`);
+    }
+
+    const periods = [];
+    for (let bucket = bucketStart(from, interval); bucket <= to; bucket = nextBucket(bucket, interval)) {
+        periods.push(formatDay(bucket));
+        if (periods.length > MAX_BUCKETS) {
+            throw new ReportQueryError(`That range has more than ${MAX_BUCKETS} ${interval}s; use a longer interval`);
+        }
+    }
+
+    const bucket = bucketExpression(db.dialect, 'request_date', interval);
+    const result = await db.query(
+        `SELECT ${bucket} AS period, COUNT(*) AS requests, SUM(quantity) AS quantity, SUM(total) AS total_value
+         FROM requests
+         WHERE request_date >= $1 AND request_date < $2
+         GROUP BY ${bucket}`,
+        bounds
+    );
+    const counted = new Map(result.rows.map((row) => [row.period, row]));
+
+    return {
+        from: formatDay(from),
+        to: formatDay(to),
+        interval,
+        columns: ['period', 'requests', 'quantity', 'total_value'],
+        rows: periods.map((period) => {
+            const row = counted.get(period);
+            return {
+                period,
+                requests: Number(row?.requests ?? 0),
+                quantity: Number(row?.quantity ?? 0),
+                total_value: round(Number(row?.total_value ?? 0)),
+            };
+        }),
+    };
+};
+
+// Most requested services by quantity. Items filed before they were linked to a service are
+// grouped by name.
+const topServicesReport = async (db, query, clock = systemClock) => {
+    const { from, to, bounds } = parseRange(query, clock);
+    const limit = parseLimit(query.limit, 10);
+
+    const result = await db.query(
+        `SELECT i.service_id, COALESCE(MAX(s.name), MAX(i.name)) AS name,
+                COUNT(DISTINCT i.request_id) AS requests, SUM(i.quantity) AS quantity, SUM(i.line_total) AS total_value
+         FROM request_items i
+         JOIN requests r ON r.id = i.request_id
+         LEFT JOIN services s ON s.id = i.service_id
+         WHERE r.request_date >= $1 AND r.request_date < $2
+         GROUP BY i.service_id, CASE WHEN i.service_id IS NULL THEN i.name END
+         ORDER BY SUM(i.quantity) DESC, COUNT(DISTINCT i.request_id) DESC, MAX(i.name)
+         LIMIT $3`,
+        [...bounds, limit]
+    );
+
+    return {
+        from: formatDay(from),
+        to: formatDay(to),
+        columns: ['service_id', 'name', 'requests', 'quantity', 'total_value'],
+        rows: result.rows.map((row) => ({
+            service_id: row.service_id,
+            name: row.name,
+            requests: Number(row.requests),
+            quantity: Number(row.quantity),
+            total_value: round(Number(row.total_value ?? 0)),
+        })),
+    };
+};
+
+// How far the range's requests got: each stage counts requests that reached it or any later
+// one, next to how many sit in each status now
+const statusFunnelReport = async (db, query, clock = systemClock) => {
+    const { from, to, bounds } = parseRange(query, clock);
+
+    const current = await db.query(
+        `SELECT status, COUNT(*) AS requests FROM requests
+         WHERE request_date >= $1 AND request_date < $2
+         GROUP BY status`,
+        bounds
+    );
+    const currentCounts = new Map(current.rows.map((row) => [row.status, Number(row.requests)]));
+    const submitted = [...currentCounts.values()].reduce((sum, count) => sum + count, 0);
+
+    const rows = [];
+    for (const [index, stage] of FUNNEL_STAGES.entries()) {
+        let reached = submitted;
+        if (index > 0) {
+            const laterStages = FUNNEL_STAGES.slice(index);
+            const placeholders = laterStages.map((_, i) => `$${i + 3}`).join(', ');
+            const result = await db.query(
+                `SELECT COUNT(DISTINCT h.request_id) AS requests
+                 FROM request_status_history h
+                 JOIN requests r ON r.id = h.request_id
+                 WHERE r.request_date >= $1 AND r.request_date < $2 AND h.to_status IN (${placeholders})`,
+                [...bounds, ...laterStages]
+            );
+            reached = Number(result.rows[0].requests);
+        }
+
+        rows.push({
+            status: stage,
+            reached,
+            percent_of_submitted: submitted === 0 ? null : round((reached / submitted) * 100, 1),
+            current: currentCounts.get(stage) ?? 0,
+        });
+    }
+
+    // Statuses off the happy path (Cancelled, Rejected, legacy spellings) only have a current count
+    for (const [status, count] of currentCounts) {
+        if (!FUNNEL_STAGES.includes(status)) {
+            rows.push({ status, reached: null, percent_of_submitted: null, current: count });
+        }
+    }
+
+    return {
+        from: formatDay(from),
+        to: formatDay(to),
+        columns: ['status', 'reached', 'percent_of_submitted', 'current'],
+        rows,
+    };
+};
+
+// Hours from filing to dispatch for the range's dispatched requests. Requests that were already
+// dispatched before status history existed are left out, since when that happened is unknown.
+const timeToDispatchReport = async (db, query, clock = systemClock) => {
+    const { from, to, bounds } = parseRange(query, clock);
+
+    const result = await db.query(
+        `SELECT r.id, r.request_date, MIN(h.created_at) AS dispatched_at
+         FROM requests r
+         JOIN request_status_history h ON h.request_id = r.id
+         WHERE r.request_date >= $1 AND r.request_date < $2
+           AND h.to_status = 'Dispatched' AND h.from_status IS NOT NULL
+         GROUP BY r.id, r.request_date`,
+        bounds
+    );
+
+    const hours = result.rows
+        .map((row) => (toDate(row.dispatched_at) - requestDate(row.request_date)) / (60 * 60 * 1000))
+        .sort((a, b) => a - b);
+    const middle = Math.floor(hours.length / 2);
+    let median = null;
+    if (hours.length > 0) {
+        median = hours.length % 2 === 1 ? hours[middle] : (hours[middle - 1] + hours[middle]) / 2;
+    }
+
+    return {
+        from: formatDay(from),
+        to: formatDay(to),
+        columns: ['dispatched_requests', 'average_hours', 'median_hours', 'min_hours', 'max_hours'],
+        rows: [{
+            dispatched_requests: hours.length,
+            average_hours: hours.length === 0 ? null : round(hours.reduce((sum, value) => sum + value, 0) / hours.length),
+            median_hours: round(median),
+            min_hours: hours.length === 0 ? null : round(hours[0]),
+            max_hours: hours.length === 0 ? null : round(hours[hours.length - 1]),
+        }],
+    };
+};
+
+// What each customer filed in the range, busiest first
+const customersReport = async (db, query, clock = systemClock) => {
+    const { from, to, bounds } = parseRange(query, clock);
+    const limit = parseLimit(query.limit, 100);
+
+    const result = await db.query(
+        `SELECT username, COUNT(*) AS requests, SUM(quantity) AS quantity, SUM(total) AS total_value,
+                SUM(CASE WHEN status = 'Cancelled' THEN 1 ELSE 0 END) AS cancelled,
+                MIN(request_date) AS first_request, MAX(request_date) AS last_request
+         FROM requests
+         WHERE request_date >= $1 AND request_date < $2
+         GROUP BY username
+         ORDER BY COUNT(*) DESC, username
+         LIMIT $3`,
+        [...bounds, limit]
+    );
+
+    return {
+        from: formatDay(from),
+        to: formatDay(to),
+        columns: ['username', 'requests', 'quantity', 'total_value', 'cancelled', 'first_request', 'last_request'],
+        rows: result.rows.map((row) => ({
+            username: row.username,
+            requests: Number(row.requests),
+            quantity: Number(row.quantity),
+            total_value: round(Number(row.total_value ?? 0)),
+            cancelled: Number(row.cancelled),
+            first_request: requestDate(row.first_request).toISOString(),
+            last_request: requestDate(row.last_request).toISOString(),
+        })),
+    };
+};
+
+// Reports by the name used in /api/admin/reports/:name
+const REPORTS = {
+    volume: volumeReport,
+    'top-services': topServicesReport,
+    'status-funnel': statusFunnelReport,
+    'time-to-dispatch': timeToDispatchReport,
+    customers: customersReport,
+};
+
+module.exports = { REPORTS, ReportQueryError };
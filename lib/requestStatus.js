@@ -0,0 +1,78 @@
+const { consumeReservations, releaseReservations } = require('./stock');
+const { systemClock } = require('./clock');
+
+// The request lifecycle: which statuses exist and which changes between them are allowed.
+//
+//   Pending -> Approved -> Dispatched -> Delivered
+//      |          |
+//      +----------+--> Cancelled
+//      +-------------> Rejected
+
+const REQUEST_STATUSES = ['Pending', 'Approved', 'Dispatched', 'Delivered', 'Cancelled', 'Rejected'];
+
+const TRANSITIONS = {
+    Pending: ['Approved', 'Rejected', 'Cancelled'],
+    Approved: ['Dispatched', 'Cancelled'],
+    Dispatched: ['Delivered'],
+    Delivered: [],
+    Cancelled: [],
+    Rejected: [],
+};
+
+// Carries the HTTP status the route should answer with
+class RequestStatusError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Requests stuck in a status from before the lifecycle existed may move to any real status
+const canTransition = (from, to) => !(from in TRANSITIONS) || TRANSITIONS[from].includes(to);
+
+// Move a request to a new status, settle its stock reservations and record it in the history,
+// all in one transaction. `check(request)` may throw a RequestStatusError to refuse the change
+// (e.g. ownership). Resolves to the updated request and the status it moved from.
+const changeRequestStatus = (db, { requestId, status, actor, note = null, check, clock = systemClock }) => db.transaction(async (tx) => {
+    if (!REQUEST_STATUSES.includes(status)) {
+        throw new RequestStatusError(400, `Status must be one of: ${REQUEST_STATUSES.join(', ')}`);
+    }
+
+    const result = await tx.query('SELECT * FROM requests WHERE id = $1 FOR UPDATE', [requestId]);
+    const request = result.rows[0];
+
+    if (!request) {
+        throw new RequestStatusError(404, 'Request not found');
+    }
+    if (check) {
+        check(request);
+    }
+    if (!canTransition(request.status, status)) {
+        throw new RequestStatusError(409, `Cannot change status from ${request.status} to ${status}`);
+    }
+
+    const updated = await tx.query('UPDATE requests SET status = $1 WHERE id = $2 RETURNING *', [status, requestId]);
+    await recordStatusChange(tx, { requestId, from: request.status, to: status, actor, note, clock });
+
+    if (status === 'Dispatched') {
+        await consumeReservations(tx, { requestId, actor, clock });
+    } else if (status === 'Cancelled' || status === 'Rejected') {
+        await releaseReservations(tx, { requestId, actor, clock });
+    }
+
+    return { request: updated.rows[0], previousStatus: request.status };
+});
+
+const recordStatusChange = (db, { requestId, from, to, actor, note = null, clock = systemClock }) => db.query(
+    `INSERT INTO request_status_history (request_id, from_status, to_status, actor_id, actor, note, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [requestId, from, to, actor?.id ?? null, actor?.username ?? null, note, clock.now().toISOString()]
+);
+
+module.exports = {
+    REQUEST_STATUSES,
+    TRANSITIONS,
+    RequestStatusError,
+    changeRequestStatus,
+    recordStatusChange,
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { systemClock } = require('./clock');
+
+// auth below is the auth section of lib/config.js: the signing secret and token lifetimes
+
+// Refresh tokens are random, so a fast hash is enough to keep them useless if the table leaks
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionError extends Error {}
+
+const signAccessToken = (user, sessionId, auth) => jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId },
+    auth.jwtSecret,
+    { expiresIn: auth.accessTokenTtlSeconds }
+);
+
+// Store a fresh refresh token for the session and return it in plain text (the only time it exists)
+const addRefreshToken = async (db, sessionId, auth, clock) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = clock.now();
+    const expiresAt = new Date(now.getTime() + auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    await db.query(
+        `INSERT INTO refresh_tokens (session_id, token_hash, created_at, expires_at)
+         VALUES ($1, $2, $3, $4)`,
+        [sessionId, hashToken(token), now.toISOString(), expiresAt.toISOString()]
+    );
+
+    return token;
+};
+
+// Start a session for a user who just proved their credentials
+const createSession = (db, user, auth, clock = systemClock) => db.transaction(async (tx) => {
+    const sessionId = crypto.randomUUID();
+
+    await tx.query(
+        'INSERT INTO sessions (id, user_id, created_at) VALUES ($1, $2, $3)',
+        [sessionId, user.id, clock.now().toISOString()]
+    );
+    const refreshToken = await addRefreshToken(tx, sessionId, auth, clock);
+
+    return { token: signAccessToken(user, sessionId, auth), refreshToken };
+});
+
+const revokeSession = (db, sessionId, clock = systemClock) => db.query(
+    'UPDATE sessions SET revoked_at = $1 WHERE id = $2 AND revoked_at IS NULL',
+    [clock.now().toISOString(), sessionId]
+);
+
+const revokeAllSessions = (db, userId, clock = systemClock) => db.query(
+    'UPDATE sessions SET revoked_at = $1 WHERE user_id = $2 AND revoked_at IS NULL',
+    [clock.now().toISOString(), userId]
+);
+
+// Trade a refresh token for a new access/refresh pair. Presenting a token that was
+// already rotated means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (db, refreshToken, auth, clock = systemClock) => {
+    const outcome = await db.transaction(async (tx) => {
+        const result = await tx.query(
+            `SELECT refresh_tokens.id, refresh_tokens.session_id, refresh_tokens.expires_at,
+                    refresh_tokens.used_at, sessions.revoked_at,
+                    users.id AS user_id, users.username, users.role
+             FROM refresh_tokens
+             JOIN sessions ON sessions.id = refresh_tokens.session_id
+             JOIN users ON users.id = sessions.user_id
+             WHERE refresh_tokens.token_hash = $1
+             FOR UPDATE`,
+            [hashToken(refreshToken)]
+        );
+        const row = result.rows[0];
+        const now = clock.now();
+
+        if (!row || row.revoked_at || new Date(row.expires_at) <= now) {
+            return { error: 'Invalid or expired refresh token' };
+        }
+
+        if (row.used_at) {
+            await revokeSession(tx, row.session_id, clock);
+            return { error: 'Refresh token reuse detected; session revoked' };
+        }
+
+        await tx.query('UPDATE refresh_tokens SET used_at = $1 WHERE id = $2', [now.toISOString(), row.id]);
+        const user = { id: row.user_id, username: row.username, role: row.role };
+
+        return {
+            token: signAccessToken(user, row.session_id, auth),
+            refreshToken: await addRefreshToken(tx, row.session_id, auth, clock),
+        };
+    });
+
+    // Thrown outside the transaction so a reuse revocation is committed, not rolled back
+    if (outcome.error) {
+        throw new SessionError(outcome.error);
+    }
+    return outcome;
+};
+
+// Sign out every other device, e.g. after a password change
+const revokeOtherSessions = (db, userId, keepSessionId, clock = systemClock) => db.query(
+    'UPDATE sessions SET revoked_at = $1 WHERE user_id = $2 AND id <> $3 AND revoked_at IS NULL',
+    [clock.now().toISOString(), userId, keepSessionId]
+);
+
+// The live (unrevoked) session with its account's 2FA state, or null
+const findActiveSession = async (db, sessionId) => {
+    if (!sessionId) {
+        return null;
+    }
+    const result = await db.query(
+        `SELECT sessions.id, sessions.user_id, users.totp_enabled_at
+         FROM sessions JOIN users ON users.id = sessions.user_id
+         WHERE sessions.id = $1 AND sessions.revoked_at IS NULL`,
+        [sessionId]
+    );
+    return result.rows[0] || null;
+};
+
+module.exports = {
+    SessionError,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    revokeOtherSessions,
+    findActiveSession,
+};
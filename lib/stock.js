@@ -0,0 +1,124 @@
+const { systemClock } = require('./clock');
+
+// Stock levels for services that track them. Available stock is on hand minus reserved:
+// submitting a request reserves, dispatching consumes, cancelling or rejecting releases.
+
+class StockError extends Error {}
+
+const recordMovement = (db, { serviceId, onHandChange = 0, reservedChange = 0, reason, requestId = null, actor, clock }) => db.query(
+    `INSERT INTO stock_movements (service_id, on_hand_change, reserved_change, reason, request_id, actor_id, actor, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [serviceId, onHandChange, reservedChange, reason, requestId, actor?.id ?? null, actor?.username ?? null, clock.now().toISOString()]
+);
+
+// Set aside stock for a request item. The availability check and the update are one
+// statement, so concurrent submissions cannot both take the last unit.
+// Returns how much was reserved: 0 for untracked services.
+const reserveStock = async (tx, { serviceId, quantity, requestId, actor, clock = systemClock }) => {
+    const result = await tx.query(
+        `UPDATE services SET stock_reserved = stock_reserved + $1
+         WHERE id = $2 AND stock_on_hand IS NOT NULL AND stock_on_hand - stock_reserved >= $1
+         RETURNING id`,
+        [quantity, serviceId]
+    );
+
+    if (result.rows.length === 0) {
+        const current = await tx.query('SELECT name, stock_on_hand, stock_reserved FROM services WHERE id = $1', [serviceId]);
+        const service = current.rows[0];
+
+        if (service.stock_on_hand === null) {
+            return 0;
+        }
+        const available = Math.max(service.stock_on_hand - service.stock_reserved, 0);
+        throw new StockError(`Not enough stock for ${service.name}: ${available} available, ${quantity} requested`);
+    }
+
+    await recordMovement(tx, { serviceId, reservedChange: quantity, reason: 'reserved', requestId, actor, clock });
+    return quantity;
+};
+
+// Undo or use up everything a request reserved. consume=true also takes it off the shelf.
+const settleReservations = async (tx, { requestId, consume, actor, clock }) => {
+    const items = await tx.query(
+        'SELECT id, service_id, reserved_quantity FROM request_items WHERE request_id = $1 AND reserved_quantity > 0',
+        [requestId]
+    );
+
+    for (const item of items.rows) {
+        const quantity = item.reserved_quantity;
+        await tx.query(
+            `UPDATE services SET stock_reserved = stock_reserved - $1, stock_on_hand = stock_on_hand - $2
+             WHERE id = $3`,
+            [quantity, consume ? quantity : 0, item.service_id]
+        );
+        await tx.query('UPDATE request_items SET reserved_quantity = 0 WHERE id = $1', [item.id]);
+        await recordMovement(tx, {
+            serviceId: item.service_id,
+            onHandChange: consume ? -quantity : 0,
+            reservedChange: -quantity,
+            reason: consume ? 'dispatched' : 'released',
+            requestId,
+            actor,
+            clock,
+        });
+    }
+};
+
+const consumeReservations = (tx, { requestId, actor, clock = systemClock }) => settleReservations(tx, { requestId, consume: true, actor, clock });
+const releaseReservations = (tx, { requestId, actor, clock = systemClock }) => settleReservations(tx, { requestId, consume: false, actor, clock });
+
+// Manual correction by an admin. Starts tracking an untracked service from 0, and may not
+// take on-hand stock below what is already reserved. Returns the updated service, or
+// undefined if there is no such live service.
+const adjustStock = (db, { serviceId, adjustment, reason, actor, clock = systemClock }) => db.transaction(async (tx) => {
+    const current = await tx.query(
+        'SELECT stock_on_hand, stock_reserved FROM services WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [serviceId]
+    );
+    const service = current.rows[0];
+
+    if (!service) {
+        return undefined;
+    }
+
+    const onHand = (service.stock_on_hand ?? 0) + adjustment;
+    if (onHand < 0) {
+        throw new StockError(`Stock cannot go below zero: ${service.stock_on_hand ?? 0} on hand`);
+    }
+    if (onHand < service.stock_reserved) {
+        throw new StockError(`Stock cannot go below the ${service.stock_reserved} units already reserved`);
+    }
+
+    const updated = await tx.query(
+        'UPDATE services SET stock_on_hand = $1, updated_at = $2 WHERE id = $3 RETURNING *',
+        [onHand, clock.now().toISOString(), serviceId]
+    );
+    await recordMovement(tx, { serviceId, onHandChange: adjustment, reason, actor, clock });
+
+    return updated.rows[0];
+});
+
+// Tracked services whose available stock is at or under their threshold, which is
+// defaultThreshold for services without one of their own
+const listLowStock = async (db, defaultThreshold) => {
+    const result = await db.query(
+        `SELECT id, name, category, stock_on_hand, stock_reserved,
+                stock_on_hand - stock_reserved AS available,
+                COALESCE(low_stock_threshold, $1) AS threshold
+         FROM services
+         WHERE deleted_at IS NULL AND stock_on_hand IS NOT NULL
+           AND stock_on_hand - stock_reserved <= COALESCE(low_stock_threshold, $1)
+         ORDER BY stock_on_hand - stock_reserved, name`,
+        [defaultThreshold]
+    );
+    return result.rows;
+};
+
+module.exports = {
+    StockError,
+    reserveStock,
+    consumeReservations,
+    releaseReservations,
+    adjustStock,
+    listLowStock,
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateSecret, verifyTotp, provisioningUri } = require('./totp');
+const { systemClock } = require('./clock');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const hashCode = (code) => crypto.createHash('sha256').update(code.toUpperCase()).digest('hex');
+
+// Recovery codes look like 9F3A1-0BC4E-77D2A-E5F10: 80 random bits, easy to read out
+const generateRecoveryCode = () => crypto.randomBytes(10).toString('hex').toUpperCase().match(/.{5}/g).join('-');
+
+// Replace the user's recovery codes and return the new ones in plain text (the only time they exist)
+const replaceRecoveryCodes = async (tx, userId, clock) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    const now = clock.now().toISOString();
+
+    await tx.query('DELETE FROM totp_recovery_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+        await tx.query(
+            'INSERT INTO totp_recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, $3)',
+            [userId, hashCode(code), now]
+        );
+    }
+    return codes;
+};
+
+// Begin enrolment: store a fresh secret and hand back what the authenticator app needs.
+// issuer is the name the app shows the account under.
+const startEnrolment = async (db, user, issuer) => {
+    const secret = generateSecret();
+    await db.query(
+        'UPDATE users SET totp_secret = $1, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $2',
+        [secret, user.id]
+    );
+    return { secret, otpauthUrl: provisioningUri({ secret, accountName: user.username, issuer }) };
+};
+
+const findTotpState = async (db, userId) => {
+    const result = await db.query(
+        'SELECT totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = $1',
+        [userId]
+    );
+    return result.rows[0];
+};
+
+// Accept a TOTP code (once) and remember its step. Returns whether it was valid.
+const acceptTotp = async (tx, userId, state, code, clock) => {
+    const lastStep = state.totp_last_step === null ? -1 : Number(state.totp_last_step);
+    const step = verifyTotp(state.totp_secret, code, { time: clock.now().getTime(), afterStep: lastStep });
+
+    if (step === null) {
+        return false;
+    }
+    await tx.query('UPDATE users SET totp_last_step = $1 WHERE id = $2', [step, userId]);
+    return true;
+};
+
+// Finish enrolment by proving the app is set up. Returns recovery codes, or null on a bad code.
+const enableTwoFactor = (db, userId, code, clock = systemClock) => db.transaction(async (tx) => {
+    const state = await findTotpState(tx, userId);
+
+    if (!state?.totp_secret || state.totp_enabled_at || !(await acceptTotp(tx, userId, state, code, clock))) {
+        return null;
+    }
+
+    await tx.query('UPDATE users SET totp_enabled_at = $1 WHERE id = $2', [clock.now().toISOString(), userId]);
+    return replaceRecoveryCodes(tx, userId, clock);
+});
+
+const disableTwoFactor = (db, userId) => db.transaction(async (tx) => {
+    await tx.query(
+        'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+        [userId]
+    );
+    await tx.query('DELETE FROM totp_recovery_codes WHERE user_id = $1', [userId]);
+});
+
+// Check a second factor for a user with 2FA enabled: a TOTP code or an unused recovery code
+const verifySecondFactor = (db, userId, { code, recoveryCode }, clock = systemClock) => db.transaction(async (tx) => {
+    const state = await findTotpState(tx, userId);
+    if (!state?.totp_enabled_at) {
+        return false;
+    }
+
+    if (code) {
+        return acceptTotp(tx, userId, state, code, clock);
+    }
+
+    if (recoveryCode) {
+        const result = await tx.query(
+            `UPDATE totp_recovery_codes SET used_at = $1
+             WHERE user_id = $2 AND code_hash = $3 AND used_at IS NULL
+             RETURNING id`,
+            [clock.now().toISOString(), userId, hashCode(recoveryCode.trim())]
+        );
+        return result.rows.length > 0;
+    }
+
+    return false;
+});
+
+const regenerateRecoveryCodes = (db, userId, clock = systemClock) => db.transaction((tx) => replaceRecoveryCodes(tx, userId, clock));
+
+// Short-lived token proving the password step passed, traded in with the second factor.
+// Signed with the same secret as access tokens.
+const signChallenge = (user, secret) => jwt.sign(
+    { id: user.id, username: user.username, purpose: '2fa' },
+    secret,
+    { expiresIn: CHALLENGE_TTL }
+);
+
+// Returns the challenge payload, or null if the token is invalid, expired or not a challenge
+const verifyChallenge = (token, secret) => {
+    try {
+        const decoded = jwt.verify(token, secret);
+        return decoded.purpose === '2fa' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    startEnrolment,
+    enableTwoFactor,
+    disableTwoFactor,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    signChallenge,
+    verifyChallenge,
+};
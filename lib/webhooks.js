@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { systemClock } = require('./clock');
+
+// Outgoing webhooks. publishEvent() writes one pending delivery per interested subscription;
+// the dispatcher sends them, signed with the subscription's secret, and retries failures with
+// exponential backoff. Every attempt's outcome stays in webhook_deliveries.
+
+const WEBHOOK_EVENTS = [
+    'request.created',
+    'request.status_changed',
+    'service.created',
+    'service.updated',
+    'service.deleted',
+];
+
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+class WebhookError extends Error {}
+
+// The base delay, then double that after each further failed attempt (30s, 1m, 2m, 4m... with
+// the default base), capped at six hours
+const retryDelaySeconds = (attempts, baseSeconds) => Math.min(baseSeconds * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+
+// Receivers recompute this over "<X-Webhook-Timestamp>.<raw body>" to check a delivery is ours
+const signPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+// The secret is only ever shown when the subscription is created
+const toWebhook = ({ secret, ...row }) => ({ ...row, events: JSON.parse(row.events), active: Boolean(row.active) });
+
+const checkUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new WebhookError('url must be an absolute http(s) URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new WebhookError('url must be an absolute http(s) URL');
+    }
+    return parsed.toString();
+};
+
+// A list of event names, or ["*"] for all of them
+const checkEvents = (events) => {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new WebhookError(`events must be a non-empty list of: *, ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    const unknown = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new WebhookError(`Unknown events: ${unknown.join(', ')}. Use any of: *, ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return [...new Set(events)];
+};
+
+const listWebhooks = async (db) => {
+    const result = await db.query('SELECT * FROM webhooks ORDER BY id');
+    return result.rows.map(toWebhook);
+};
+
+// Resolves to the new subscription and the secret it signs with
+const createWebhook = async (db, { url, events, description = null }, clock = systemClock) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = clock.now().toISOString();
+
+    const result = await db.query(
+        `INSERT INTO webhooks (url, secret, events, description, active, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, TRUE, $5, $5)
+         RETURNING *`,
+        [checkUrl(url), secret, JSON.stringify(checkEvents(events)), description, now]
+    );
+
+    return { webhook: toWebhook(result.rows[0]), secret };
+};
+
+// Change any of url, events, description and active. Resolves to undefined if there is no such webhook.
+const updateWebhook = async (db, id, { url, events, description, active }, clock = systemClock) => {
+    const fields = {};
+    if (url !== undefined) {
+        fields.url = checkUrl(url);
+    }
+    if (events !== undefined) {
+        fields.events = JSON.stringify(checkEvents(events));
+    }
+    if (description !== undefined) {
+        fields.description = description;
+    }
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') {
+            throw new WebhookError('active must be true or false');
+        }
+        fields.active = active;
+    }
+    if (Object.keys(fields).length === 0) {
+        throw new WebhookError('Nothing to update. Send any of: url, events, description, active');
+    }
+
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const result = await db.query(
+        `UPDATE webhooks SET ${assignments.join(', ')}, updated_at = $${columns.length + 1}
+         WHERE id = $${columns.length + 2}
+         RETURNING *`,
+        [...Object.values(fields), clock.now().toISOString(), id]
+    );
+
+    return result.rows[0] && toWebhook(result.rows[0]);
+};
+
+// Removes the subscription and its delivery log
+const deleteWebhook = async (db, id) => {
+    const result = await db.query('DELETE FROM webhooks WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+};
+
+// Queue an event for every active subscription that wants it. Resolves to the event id.
+const publishEvent = async (db, event, data, clock = systemClock) => {
+    const eventId = crypto.randomUUID();
+    const now = clock.now().toISOString();
+    const payload = JSON.stringify({ id: eventId, event, createdAt: now, data });
+
+    const webhooks = await db.query('SELECT id, events FROM webhooks WHERE active = TRUE');
+    const subscribers = webhooks.rows.filter((webhook) => {
+        const events = JSON.parse(webhook.events);
+        return events.includes('*') || events.includes(event);
+    });
+
+    for (const webhook of subscribers) {
+        await db.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, status, next_attempt_at, created_at)
+             VALUES ($1, $2, $3, $4, 'pending', $5, $5)`,
+            [webhook.id, eventId, event, payload, now]
+        );
+    }
+
+    return eventId;
+};
+
+// Newest first, optionally only one status (pending, delivered or failed)
+const listDeliveries = async (db, webhookId, { status, limit = 50 } = {}) => {
+    const conditions = ['webhook_id = $1'];
+    const values = [webhookId];
+
+    if (status) {
+        values.push(status);
+        conditions.push(`status = $${values.length}`);
+    }
+    values.push(limit);
+
+    const result = await db.query(
+        `SELECT * FROM webhook_deliveries WHERE ${conditions.join(' AND ')}
+         ORDER BY id DESC LIMIT $${values.length}`,
+        values
+    );
+    return result.rows;
+};
+
+// Send a past delivery again, as a new delivery so the original's record stays intact.
+// Resolves to undefined if there is no such delivery.
+const replayDelivery = async (db, deliveryId, clock = systemClock) => {
+    const now = clock.now().toISOString();
+    const original = await db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+    const delivery = original.rows[0];
+
+    if (!delivery) {
+        return undefined;
+    }
+
+    const result = await db.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, status, next_attempt_at, replay_of, created_at)
+         VALUES ($1, $2, $3, $4, 'pending', $5, $6, $5)
+         RETURNING *`,
+        [delivery.webhook_id, delivery.event_id, delivery.event, delivery.payload, now, delivery.id]
+    );
+    return result.rows[0];
+};
+
+// Sends due deliveries every `pollIntervalMs`, or straight away when runDue() is called.
+// maxAttempts, retryBaseSeconds and pollIntervalMs are the webhooks settings from lib/config.js;
+// failed runs are reported to `logger`. `fetch` and `clock` are injectable for tests; they
+// default to the global fetch and the system time.
+const createWebhookDispatcher = (db, {
+    maxAttempts,
+    retryBaseSeconds,
+    pollIntervalMs,
+    logger,
+    fetch = globalThis.fetch,
+    clock = systemClock,
+    batchSize = 20,
+}) => {
+    let timer = null;
+    let running = null;
+
+    // Take a delivery by pushing its next attempt past the timeout, so another worker polling
+    // at the same time skips it. Fails if someone else claimed it first.
+    const claim = async (delivery, now) => {
+        const lease = new Date(now.getTime() + DELIVERY_TIMEOUT_MS * 2).toISOString();
+        const result = await db.query(
+            `UPDATE webhook_deliveries SET next_attempt_at = $1
+             WHERE id = $2 AND status = 'pending' AND attempts = $3 AND next_attempt_at <= $4`,
+            [lease, delivery.id, delivery.attempts, now.toISOString()]
+        );
+        return result.rowCount === 1;
+    };
+
+    const send = async (delivery) => {
+        const timestamp = Math.floor(clock.now().getTime() / 1000);
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'raffApp-Webhooks/1.0',
+                    'X-Webhook-Id': String(delivery.id),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`,
+                },
+                body: delivery.payload,
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+            });
+            return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+        } catch (error) {
+            return { ok: false, status: null, error: error.message };
+        }
+    };
+
+    const recordAttempt = async (delivery, outcome) => {
+        const now = clock.now();
+        const attempts = delivery.attempts + 1;
+
+        let status = 'pending';
+        let nextAttemptAt = new Date(now.getTime() + retryDelaySeconds(attempts, retryBaseSeconds) * 1000).toISOString();
+        if (outcome.ok) {
+            status = 'delivered';
+            nextAttemptAt = null;
+        } else if (attempts >= maxAttempts) {
+            status = 'failed';
+            nextAttemptAt = null;
+        }
+
+        await db.query(
+            `UPDATE webhook_deliveries
+             SET status = $1, attempts = $2, next_attempt_at = $3, last_attempt_at = $4,
+                 response_status = $5, last_error = $6, delivered_at = $7
+             WHERE id = $8`,
+            [
+                status,
+                attempts,
+                nextAttemptAt,
+                now.toISOString(),
+                outcome.status,
+                outcome.error,
+                outcome.ok ? now.toISOString() : null,
+                delivery.id,
+            ]
+        );
+    };
+
+    const deliverDue = async () => {
+        const now = clock.now();
+        const due = await db.query(
+            `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+             JOIN webhooks w ON w.id = d.webhook_id
+             WHERE d.status = 'pending' AND d.next_attempt_at <= $1 AND w.active = TRUE
+             ORDER BY d.next_attempt_at, d.id
+             LIMIT $2`,
+            [now.toISOString(), batchSize]
+        );
+
+        for (const delivery of due.rows) {
+            if (await claim(delivery, now)) {
+                await recordAttempt(delivery, await send(delivery));
+            }
+        }
+    };
+
+    // Calls made while a run is in progress share it rather than starting another
+    const runDue = () => {
+        if (!running) {
+            running = deliverDue()
+                .catch((error) => logger.error('Error delivering webhooks', { error }))
+                .finally(() => {
+                    running = null;
+                });
+        }
+        return running;
+    };
+
+    return {
+        runDue,
+        start: () => {
+            if (!timer) {
+                timer = setInterval(runDue, pollIntervalMs);
+                timer.unref();
+            }
+        },
+        stop: async () => {
+            clearInterval(timer);
+            timer = null;
+            await running;
+        },
+    };
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WebhookError,
+    signPayload,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    publishEvent,
+    listDeliveries,
+    replayDelivery,
+    createWebhookDispatcher,
+};
@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const { findActiveSession } = require('../lib/sessions');
+
+// Extract the token from the "Authorization: Bearer <token>" header
+const readToken = (req) => req.headers.authorization?.split(' ')[1];
+
+// EventSource cannot set headers, so stream routes also take the token as ?access_token=
+const acceptQueryToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// Verify user token: any signed-in account whose session is still live, attached as req.user
+const verifyUserToken = async (req, res, next) => {
+    const token = readToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Unauthorized: No token provided.' });
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, req.app.locals.config.auth.jwtSecret);
+    } catch (error) {
+        req.log.warn('Rejected access token', { reason: error.message });
+        return res.status(401).json({ error: 'Unauthorized: Invalid token.' });
+    }
+
+    let session;
+    try {
+        session = await findActiveSession(req.app.locals.db, decoded.sid);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!session) {
+        return res.status(401).json({ error: 'Unauthorized: Session has been revoked.' });
+    }
+
+    req.user = { ...decoded, twoFactorEnabled: Boolean(session.totp_enabled_at) };
+    next();
+};
+
+// Verify admin token: as above, but the account must be an admin
+const verifyAdminToken = (req, res, next) => {
+    verifyUserToken(req, res, (error) => {
+        if (error) {
+            return next(error);
+        }
+
+        // Ensure the user is an admin
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Forbidden: Not an admin.' });
+        }
+
+        req.admin = req.user; // Attach admin info to the request
+        next();
+    });
+};
+
+module.exports = { readToken, acceptQueryToken, verifyUserToken, verifyAdminToken };
@@ -0,0 +1,74 @@
+const { hashRequest, claimKey, saveResponse, releaseKey } = require('../lib/idempotency');
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // Printable ASCII, no spaces
+
+// Honour an Idempotency-Key header on a mutating route. Goes after authorize(), since keys
+// belong to the signed-in caller. Requests without the header run as usual.
+const idempotency = () => async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: 'Idempotency-Key must be 1 to 255 printable characters without spaces.' });
+    }
+
+    const db = req.app.locals.db;
+    const scope = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    const requestHash = hashRequest({ method: req.method, path: req.path, body: req.body });
+
+    let claim;
+    try {
+        claim = await claimKey(db, {
+            scope,
+            key,
+            requestHash,
+            ttlHours: req.app.locals.config.idempotency.keyTtlHours,
+            clock: req.app.locals.clock,
+        });
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!claim.claimed) {
+        const { existing } = claim;
+
+        if (existing && existing.request_hash !== requestHash) {
+            return res.status(422).json({ error: 'Idempotency-Key was already used for a different request.' });
+        }
+        if (!existing || existing.state !== 'completed') {
+            res.set('Retry-After', '1');
+            return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed.' });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+    }
+
+    // Keep the response before it goes out, so a retry arriving right after gets it too.
+    // Server errors are not kept: the key is released and the request may be tried again.
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        settled = true;
+        const stored = res.statusCode < 500
+            ? saveResponse(db, claim.id, { status: res.statusCode, body })
+            : releaseKey(db, claim.id);
+
+        stored
+            .catch((error) => req.log.error('Error saving idempotent response', { error }))
+            .finally(() => sendJson(body));
+        return res;
+    };
+
+    // A response that never went through res.json cannot be replayed
+    res.on('close', () => {
+        if (!settled) {
+            releaseKey(db, claim.id).catch((error) => req.log.error('Error releasing idempotency key', { error }));
+        }
+    });
+
+    next();
+};
+
+module.exports = { idempotency };
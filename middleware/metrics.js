@@ -0,0 +1,27 @@
+// The route a request matched, as registered ('/api/services/:id'), so metrics and logs group
+// by route rather than by every id. Requests no route matched share one label.
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Count responses by route and status, and time them, once each one is done
+const collectHttpMetrics = (registry) => {
+    const requests = registry.counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests by method, route and status',
+    });
+    const duration = registry.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'Time from receiving a request to finishing its response, by method and route',
+    });
+
+    return (req, res, next) => {
+        const started = process.hrtime.bigint();
+        res.once('close', () => {
+            const route = routeOf(req);
+            requests.inc({ method: req.method, route, status: String(res.statusCode) });
+            duration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+        });
+        next();
+    };
+};
+
+module.exports = { routeOf, collectHttpMetrics };
@@ -0,0 +1,150 @@
+const { verifyUserToken, verifyAdminToken } = require('./auth');
+
+// The fixed set of account roles; only admins can grant anything above customer
+const ROLES = ['customer', 'staff', 'admin'];
+
+// What each role may do
+const ROLE_PERMISSIONS = {
+    admin: [
+        'services:write',
+        'categories:write',
+        'stock:manage',
+        'requests:create',
+        'requests:read',
+        'requests:read:any',
+        'requests:update',
+        'admins:read',
+        'admins:manage',
+        'users:read',
+        'roles:manage',
+        'sessions:manage',
+        'lockouts:manage',
+        '2fa:manage',
+        'webhooks:manage',
+        'events:read',
+        'events:read:any',
+        'audit:read',
+        'reports:read',
+    ],
+    staff: [
+        'sessions:manage',
+        'requests:read',
+        'requests:read:any',
+        'requests:update',
+    ],
+    customer: [
+        'sessions:manage',
+        'requests:create',
+        'requests:cancel',
+        'requests:read',
+        'events:read',
+    ],
+};
+
+const PUBLIC = null;
+
+// Every route the server registers and the permission it requires
+const ROUTE_PERMISSIONS = {
+    'GET /api/openapi.json': PUBLIC,
+    'POST /api/auth/register': PUBLIC,
+    'POST /api/auth/login': PUBLIC,
+    'POST /api/auth/refresh': PUBLIC,
+    'POST /api/auth/logout': 'sessions:manage',
+    'POST /api/auth/logout-all': 'sessions:manage',
+    'POST /api/auth/change-password': 'sessions:manage',
+    'POST /api/auth/forgot-password': PUBLIC,
+    'POST /api/auth/reset-password': PUBLIC,
+    'GET /api/services': PUBLIC,
+    'POST /api/services': 'services:write',
+    'GET /api/services/:id': PUBLIC,
+    'GET /api/services/export': 'services:write',
+    'POST /api/services/import': 'services:write',
+    'PUT /api/services/:id': 'services:write',
+    'PATCH /api/services/:id': 'services:write',
+    'DELETE /api/services/:id': 'services:write',
+    'POST /api/services/:id/image': 'services:write',
+    'GET /api/media/:id': PUBLIC,
+    'POST /api/services/:id/stock-adjustments': 'stock:manage',
+    'GET /api/admin/stock/low': 'stock:manage',
+    'GET /api/categories': PUBLIC,
+    'GET /api/categories/:slug': PUBLIC,
+    'GET /api/categories/:slug/services': PUBLIC,
+    'POST /api/categories': 'categories:write',
+    'PATCH /api/categories/:id': 'categories:write',
+    'DELETE /api/categories/:id': 'categories:write',
+    'POST /api/requests': 'requests:create',
+    'GET /api/requests': 'requests:read',
+    'PATCH /api/requests/:id': 'requests:update',
+    'GET /api/requests/:username': 'requests:read',
+    'GET /api/requests/:id/history': 'requests:read',
+    'POST /api/requests/:id/cancel': 'requests:cancel',
+    'POST /api/admin/add': 'admins:manage',
+    'GET /api/admin/profile': 'admins:read',
+    'GET /api/admin/all': 'admins:read',
+    'GET /api/admin/users': 'users:read',
+    'PATCH /api/admin/users/:id/role': 'roles:manage',
+    'GET /api/admin/lockouts': 'lockouts:manage',
+    'DELETE /api/admin/lockouts/:id': 'lockouts:manage',
+    'POST /api/auth/login/2fa': PUBLIC,
+    'POST /api/admin/2fa/setup': '2fa:manage',
+    'POST /api/admin/2fa/enable': '2fa:manage',
+    'POST /api/admin/2fa/disable': '2fa:manage',
+    'POST /api/admin/2fa/recovery-codes': '2fa:manage',
+    'GET /api/admin/webhooks': 'webhooks:manage',
+    'POST /api/admin/webhooks': 'webhooks:manage',
+    'PATCH /api/admin/webhooks/:id': 'webhooks:manage',
+    'DELETE /api/admin/webhooks/:id': 'webhooks:manage',
+    'GET /api/admin/webhooks/:id/deliveries': 'webhooks:manage',
+    'POST /api/admin/webhook-deliveries/:id/replay': 'webhooks:manage',
+    'GET /api/admin/events': 'events:read:any',
+    'GET /api/events': 'events:read',
+    'GET /api/admin/audit': 'audit:read',
+    'GET /api/admin/audit/verify': 'audit:read',
+    'GET /api/admin/reports/:name': 'reports:read',
+};
+
+// With ADMIN_2FA_REQUIRED=true, admins without 2FA can only reach these until they enrol
+const TWO_FACTOR_SETUP_ROUTES = [
+    'POST /api/auth/logout',
+    'POST /api/auth/logout-all',
+    'GET /api/admin/profile',
+    'POST /api/admin/2fa/setup',
+    'POST /api/admin/2fa/enable',
+];
+
+const hasPermission = (role, permission) => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes(permission);
+};
+
+// Permissions no non-admin role holds go through the admin-token check
+const isAdminOnly = (permission) => Object.entries(ROLE_PERMISSIONS)
+    .every(([role, granted]) => role === 'admin' || !granted.includes(permission));
+
+// Middleware chain for a route key such as 'POST /api/services'
+const authorize = (routeKey) => {
+    if (!(routeKey in ROUTE_PERMISSIONS)) {
+        throw new Error(`No permission mapped for route ${routeKey}`);
+    }
+
+    const permission = ROUTE_PERMISSIONS[routeKey];
+    if (permission === PUBLIC) {
+        return [];
+    }
+
+    const requirePermission = (req, res, next) => {
+        if (!hasPermission(req.user.role, permission)) {
+            return res.status(403).json({ error: 'Forbidden: Missing permission.' });
+        }
+
+        if (req.app.locals.config.auth.adminTwoFactorRequired && req.user.role === 'admin'
+            && !req.user.twoFactorEnabled && !TWO_FACTOR_SETUP_ROUTES.includes(routeKey)) {
+            return res.status(403).json({ error: 'Forbidden: Two-factor authentication must be enabled.' });
+        }
+        next();
+    };
+
+    return [isAdminOnly(permission) ? verifyAdminToken : verifyUserToken, requirePermission];
+};
+
+module.exports = { ROLES, ROLE_PERMISSIONS, ROUTE_PERMISSIONS, hasPermission, authorize };
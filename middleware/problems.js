@@ -0,0 +1,55 @@
+const { PROBLEM_CONTENT_TYPE, ProblemError, problemDocument, mapDatabaseError } = require('../lib/problems');
+const { redactUrl } = require('../lib/logger');
+
+// Routes answer errors with res.status(4xx).json({ error: message, ...extras }). This turns
+// those bodies into problem documents on the way out, so each route does not have to.
+const problemResponses = (req, res, next) => {
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && typeof body?.error === 'string' && body.title === undefined) {
+            const { error, ...extensions } = body;
+            res.type(PROBLEM_CONTENT_TYPE);
+            return sendJson(problemDocument(req, res.statusCode, error, extensions));
+        }
+        return sendJson(body);
+    };
+    next();
+};
+
+// API paths no route matched
+const notFound = (req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.baseUrl}${req.path}` });
+};
+
+// What went wrong for each kind of error body-parser raises
+const BODY_PARSER_PROBLEMS = {
+    'entity.too.large': 'Request body is too large',
+    'entity.parse.failed': 'Request body is not valid JSON',
+    'encoding.unsupported': 'Unsupported content encoding',
+    'charset.unsupported': 'Unsupported charset',
+};
+
+// Last in the chain: every error passed to next() ends up here. Errors the client caused get
+// their 4xx; anything else is logged and answered with a bare 500.
+const handleErrors = (error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    if (error instanceof ProblemError) {
+        return res.status(error.status).json({ error: error.message, ...error.extensions });
+    }
+    if (BODY_PARSER_PROBLEMS[error.type]) {
+        return res.status(error.status).json({ error: BODY_PARSER_PROBLEMS[error.type] });
+    }
+
+    const databaseProblem = mapDatabaseError(error);
+    if (databaseProblem) {
+        return res.status(databaseProblem.status).json({ error: databaseProblem.detail });
+    }
+
+    (req.log ?? req.app.locals.logger).error('Error handling request', { method: req.method, url: redactUrl(req.originalUrl), error });
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+module.exports = { problemResponses, notFound, handleErrors };
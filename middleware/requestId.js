@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Give every request an id, reusing the caller's X-Request-Id when it looks sane, and echo it
+// back so client reports, logs and audit entries can be matched up
+const assignRequestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+module.exports = { assignRequestId };
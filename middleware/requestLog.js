@@ -0,0 +1,33 @@
+const { redactUrl } = require('../lib/logger');
+const { routeOf } = require('./metrics');
+
+// Give each request req.log, a logger whose lines all carry the request's correlation id
+// (req.id, see requestId.js), and log one line per request when its response is done
+const logRequests = (logger) => (req, res, next) => {
+    const started = process.hrtime.bigint();
+    req.log = logger.child({ requestId: req.id });
+
+    res.once('close', () => {
+        const status = res.statusCode;
+        let level = 'info';
+        if (status >= 500) {
+            level = 'error';
+        } else if (status >= 400) {
+            level = 'warn';
+        }
+
+        req.log[level]('Request completed', {
+            method: req.method,
+            url: redactUrl(req.originalUrl),
+            route: routeOf(req),
+            status,
+            durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+            ...(!res.writableFinished && { aborted: true }),
+            ...(req.user && { user: req.user.username }),
+            ip: req.ip,
+        });
+    });
+    next();
+};
+
+module.exports = { logRequests };
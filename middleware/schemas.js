@@ -0,0 +1,608 @@
+const { SKU_PATTERN } = require('../lib/catalog');
+const { SLUG_PATTERN } = require('../lib/categories');
+const { REQUEST_STATUSES } = require('../lib/requestStatus');
+const { WEBHOOK_EVENTS } = require('../lib/webhooks');
+const { TRANSFER_COLUMNS } = require('../lib/catalogImport');
+const { ROLES } = require('./permissions');
+
+// JSON Schemas for what every route takes in its path (params), query string, headers and
+// body, and what it answers with. Path, query and header values always arrive as text, so
+// numbers and flags there are checked as strings. A pattern's description finishes the
+// sentence "<field> must be ...". The same definitions feed the OpenAPI document.
+
+const MAX_INT = 2147483647;
+
+// Building blocks
+const text = (maxLength) => ({ type: 'string', maxLength });
+const requiredText = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+const optionalText = (maxLength) => ({ type: ['string', 'null'], maxLength });
+
+const idText = { type: 'string', pattern: '^[1-9][0-9]{0,8}$', description: 'a positive whole number' };
+const wholeNumberText = { type: 'string', pattern: '^[0-9]{1,9}$', description: 'a whole number' };
+const numberText = { type: 'string', pattern: '^-?[0-9]{1,12}(\\.[0-9]+)?$', description: 'a number' };
+const flagText = { type: 'string', enum: ['true', 'false'] };
+const dayText = { type: 'string', pattern: '^[0-9]{4}-[0-9]{2}-[0-9]{2}$', description: 'a date such as 2024-05-01' };
+const formatText = { type: 'string', enum: ['json', 'csv'] };
+
+const id = { type: 'integer', minimum: 1, maximum: MAX_INT };
+const username = requiredText(100);
+const password = requiredText(200);
+const name = requiredText(200);
+const slug = { type: 'string', maxLength: 100, pattern: SLUG_PATTERN.source, description: 'lowercase letters, digits and single hyphens' };
+const sku = { type: 'string', pattern: SKU_PATTERN.source, description: 'up to 64 letters, digits, dots, dashes or underscores; SVC- starts the skus given to services added without one' };
+const price = { type: ['number', 'null'], minimum: 0, maximum: 1e9 };
+const imageUrl = optionalText(2048);
+const description = optionalText(5000);
+const note = optionalText(1000);
+const twoFactorCode = { type: ['string', 'integer'], maxLength: 20 };
+
+// Older clients send quantities as text, e.g. straight from a form field
+const quantity = {
+    type: ['integer', 'string'],
+    minimum: 1,
+    maximum: 100000,
+    pattern: '^[1-9][0-9]{0,4}$|^100000$',
+    description: 'a whole number from 1 to 100000',
+};
+
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+const params = (names) => object(Object.fromEntries(names.map((param) => [param, param === 'id' ? idText : text(200)])), names);
+
+const idempotencyHeaders = object({
+    'idempotency-key': {
+        type: 'string',
+        pattern: '^[\\x21-\\x7e]{1,255}$',
+        description: '1 to 255 printable characters without spaces',
+    },
+});
+
+const credentials = object({ username, password }, ['username', 'password']);
+
+const serviceFields = {
+    categoryId: id,
+    category: requiredText(200),
+    sku,
+    name,
+    price,
+    imageUrl,
+    description,
+};
+
+const serviceListQuery = object({
+    category: text(200),
+    minPrice: numberText,
+    maxPrice: numberText,
+    q: text(200),
+    sort: { type: 'string', enum: ['id', '-id', 'name', '-name', 'price', '-price'] },
+    limit: wholeNumberText,
+    cursor: text(500),
+});
+
+const categoryFields = {
+    name,
+    slug,
+    parentId: { ...id, type: ['integer', 'null'] },
+    displayOrder: { type: 'integer', minimum: -MAX_INT, maximum: MAX_INT },
+    active: { type: 'boolean' },
+};
+
+const webhookFields = {
+    url: requiredText(2048),
+    events: { type: 'array', minItems: 1, maxItems: 20, items: { type: 'string', enum: ['*', ...WEBHOOK_EVENTS] } },
+    description: optionalText(500),
+    active: { type: 'boolean' },
+};
+
+const eventStreamQuery = object({ lastEventId: wholeNumberText, access_token: text(4096) });
+const eventStreamHeaders = object({ 'last-event-id': wholeNumberText });
+
+// What the routes answer with. Responses name these as ref('Service') and so on.
+const nullable = (type) => ({ type: [type, 'null'] });
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { type: ['string', 'null'], format: 'date-time' };
+const ref = (schema) => ({ $ref: `#/components/schemas/${schema}` });
+const listOf = (schema) => ({ type: 'array', items: ref(schema) });
+
+const RESOURCE_SCHEMAS = {
+    Problem: object({
+        type: { type: 'string' },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+        error: { type: 'string', description: 'Same as detail, for older clients' },
+        errors: {
+            type: 'array',
+            description: 'Each invalid field, when the request did not match its schema',
+            items: object({ in: { type: 'string' }, field: nullable('string'), message: { type: 'string' } }),
+        },
+    }, ['type', 'title', 'status', 'detail']),
+    Message: object({ message: { type: 'string' } }, ['message']),
+    Tokens: object({
+        message: { type: 'string' },
+        token: { type: 'string' },
+        refreshToken: { type: 'string' },
+        username: { type: 'string' },
+        role: { type: 'string', enum: ROLES },
+        twoFactorRequired: { type: 'boolean', description: 'Set instead of tokens; finish at /api/auth/login/2fa' },
+        challengeToken: { type: 'string' },
+    }, ['message']),
+    User: object({ id: { type: 'integer' }, username: { type: 'string' }, role: { type: 'string', enum: ROLES } }),
+    Service: object({
+        id: { type: 'integer' },
+        sku: { type: 'string' },
+        name: { type: 'string' },
+        category: { type: 'string' },
+        category_id: nullable('integer'),
+        price: nullable('number'),
+        imageurl: nullable('string'),
+        description: nullable('string'),
+        stock_on_hand: { type: ['integer', 'null'], description: 'null when stock is not tracked' },
+        stock_reserved: { type: 'integer' },
+        low_stock_threshold: nullable('integer'),
+        created_at: timestamp,
+        updated_at: timestamp,
+        deleted_at: nullableTimestamp,
+    }),
+    TransferService: object(Object.fromEntries(TRANSFER_COLUMNS.map((column) => [column, { type: column === 'price' ? ['number', 'null'] : ['string', 'null'] }]))),
+    ImportResult: object({
+        dryRun: { type: 'boolean' },
+        applied: { type: 'boolean' },
+        summary: object(Object.fromEntries(['created', 'updated', 'restored', 'unchanged', 'invalid'].map((count) => [count, { type: 'integer' }]))),
+        rows: { type: 'array', items: object({ row: { type: 'integer' }, sku: { type: 'string' }, action: { type: 'string' }, id: nullable('integer') }) },
+        errors: { type: 'array', items: object({ row: { type: 'integer' }, sku: nullable('string'), field: nullable('string'), message: { type: 'string' } }) },
+    }),
+    LowStockService: object({
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        category: { type: 'string' },
+        stock_on_hand: { type: 'integer' },
+        stock_reserved: { type: 'integer' },
+        available: { type: 'integer' },
+        threshold: { type: 'integer' },
+    }),
+    Category: object({
+        id: { type: 'integer' },
+        parent_id: nullable('integer'),
+        name: { type: 'string' },
+        slug: { type: 'string' },
+        display_order: { type: 'integer' },
+        active: { type: 'boolean' },
+        created_at: timestamp,
+        updated_at: timestamp,
+        children: { ...listOf('Category'), description: 'Only with ?tree=true' },
+    }),
+    Request: object({
+        id: { type: 'integer' },
+        username: { type: 'string' },
+        product_name: { type: 'string', description: 'Summary of the items, for older clients' },
+        quantity: { type: 'integer' },
+        total: nullable('number'),
+        status: { type: 'string' },
+        request_date: { type: 'string' },
+        items: {
+            type: 'array',
+            items: object({
+                id: { type: 'integer' },
+                service_id: nullable('integer'),
+                name: { type: 'string' },
+                unit_price: nullable('number'),
+                quantity: { type: 'integer' },
+                line_total: nullable('number'),
+            }),
+        },
+    }),
+    StatusChange: object({
+        id: { type: 'integer' },
+        from_status: nullable('string'),
+        to_status: { type: 'string' },
+        actor: nullable('string'),
+        note: nullable('string'),
+        created_at: timestamp,
+    }),
+    Lockout: object({
+        id: { type: 'integer' },
+        scope: { type: 'string', enum: ['username', 'ip'] },
+        key: { type: 'string' },
+        failures: { type: 'integer' },
+        last_failed_at: timestamp,
+        locked_until: nullableTimestamp,
+    }),
+    Webhook: object({
+        id: { type: 'integer' },
+        url: { type: 'string' },
+        events: { type: 'array', items: { type: 'string' } },
+        description: nullable('string'),
+        active: { type: 'boolean' },
+        created_at: timestamp,
+        updated_at: timestamp,
+    }),
+    WebhookDelivery: object({
+        id: { type: 'integer' },
+        webhook_id: { type: 'integer' },
+        event_id: { type: 'string' },
+        event: { type: 'string' },
+        payload: { type: 'string', description: 'The JSON body sent' },
+        status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+        attempts: { type: 'integer' },
+        next_attempt_at: nullableTimestamp,
+        last_attempt_at: nullableTimestamp,
+        response_status: nullable('integer'),
+        last_error: nullable('string'),
+        replay_of: nullable('integer'),
+        created_at: timestamp,
+        delivered_at: nullableTimestamp,
+    }),
+    AuditEntry: object({
+        id: { type: 'integer' },
+        actor_id: nullable('integer'),
+        actor: nullable('string'),
+        action: { type: 'string' },
+        target: nullable('string'),
+        details: {},
+        before: {},
+        after: {},
+        ip: nullable('string'),
+        request_id: nullable('string'),
+        created_at: timestamp,
+        prev_hash: { type: 'string' },
+        hash: { type: 'string' },
+    }),
+    Report: object({
+        report: { type: 'string' },
+        from: { type: 'string', format: 'date' },
+        to: { type: 'string', format: 'date' },
+        interval: { type: 'string', description: 'Only for volume' },
+        rows: { type: 'array', items: { type: 'object' } },
+    }),
+};
+
+// A JSON message plus one named resource, as most writes answer
+const messageWith = (properties) => object({ message: { type: 'string' }, ...properties }, ['message']);
+
+// Responses other than plain JSON: content by media type, and any headers worth knowing about
+const respond = (content, headers) => ({ content, ...(headers && { headers }) });
+const csvOrJson = (schema) => respond({ 'application/json': schema, 'text/csv': { type: 'string' } });
+const withCursor = (schema) => respond({ 'application/json': schema }, { 'X-Next-Cursor': 'Cursor for the next page, if there is one' });
+const replayable = (schema) => respond({ 'application/json': schema }, { 'Idempotent-Replayed': 'true when this is the stored answer to an earlier request with the same Idempotency-Key' });
+const eventStream = respond({ 'text/event-stream': { type: 'string' } });
+
+// Every route the server registers, keyed as in ROUTE_PERMISSIONS. requestContent documents
+// bodies that are not only JSON; it is not validated.
+const ROUTE_SCHEMAS = {
+    'GET /api/openapi.json': {
+        summary: 'This API description, as OpenAPI 3.1',
+        responses: { 200: { type: 'object' } },
+    },
+
+    'POST /api/auth/register': {
+        summary: 'Register a customer account',
+        body: credentials,
+        responses: { 201: messageWith({ user: ref('User') }) },
+    },
+    'POST /api/auth/login': {
+        summary: 'Sign in with a username and password',
+        body: credentials,
+        responses: { 200: ref('Tokens') },
+    },
+    'POST /api/auth/login/2fa': {
+        summary: 'Finish signing in with a two-factor or recovery code',
+        body: object({ challengeToken: requiredText(4096), code: twoFactorCode, recoveryCode: text(100) }, ['challengeToken']),
+        responses: { 200: ref('Tokens') },
+    },
+    'POST /api/auth/refresh': {
+        summary: 'Swap a refresh token for a new token pair',
+        body: object({ refreshToken: requiredText(500) }, ['refreshToken']),
+        responses: { 200: ref('Tokens') },
+    },
+    'POST /api/auth/logout': {
+        summary: 'Revoke the current session',
+        responses: { 200: ref('Message') },
+    },
+    'POST /api/auth/logout-all': {
+        summary: 'Revoke every session of the account',
+        responses: { 200: ref('Message') },
+    },
+    'POST /api/auth/change-password': {
+        summary: 'Change the password and sign out other devices',
+        body: object({ currentPassword: password, newPassword: password }, ['currentPassword', 'newPassword']),
+        responses: { 200: ref('Message') },
+    },
+    'POST /api/auth/forgot-password': {
+        summary: 'Send a password reset code',
+        body: object({ username }, ['username']),
+        responses: { 200: ref('Message') },
+    },
+    'POST /api/auth/reset-password': {
+        summary: 'Set a new password with a reset code',
+        body: object({ token: requiredText(500), newPassword: password }, ['token', 'newPassword']),
+        responses: { 200: ref('Message') },
+    },
+
+    'GET /api/services': {
+        summary: 'List, filter and page through services',
+        query: serviceListQuery,
+        responses: { 200: withCursor(listOf('Service')) },
+    },
+    // Services added without a sku (or with a null one) are numbered SVC-<id>; others may not
+    // start with SVC-
+    'POST /api/services': {
+        summary: 'Add a service',
+        headers: idempotencyHeaders,
+        body: object({ ...serviceFields, sku: { ...sku, type: ['string', 'null'] } }, ['name']),
+        responses: { 201: replayable(messageWith({ service: ref('Service') })) },
+    },
+    'GET /api/services/export': {
+        summary: 'Export every live service as JSON or CSV',
+        query: object({ format: formatText }),
+        responses: { 200: csvOrJson(listOf('TransferService')) },
+    },
+    'POST /api/services/import': {
+        summary: 'Create or update services by sku from JSON or CSV (a dry run unless dryRun=false)',
+        query: object({ dryRun: flagText }),
+        // Rows are checked one by one on import
+        body: { type: ['array', 'object', 'string'] },
+        requestContent: {
+            'application/json': { oneOf: [listOf('TransferService'), object({ services: listOf('TransferService') }, ['services'])] },
+            'text/csv': { type: 'string' },
+        },
+        responses: { 200: ref('ImportResult'), 422: ref('ImportResult') },
+    },
+    'GET /api/services/:id': {
+        summary: 'Get a service',
+        params: params(['id']),
+        responses: { 200: ref('Service') },
+    },
+    'PUT /api/services/:id': {
+        summary: 'Replace a service; fields left out are cleared',
+        params: params(['id']),
+        body: object(serviceFields, ['name']),
+        responses: { 200: messageWith({ service: ref('Service') }) },
+    },
+    'PATCH /api/services/:id': {
+        summary: 'Change some of a service\'s fields',
+        params: params(['id']),
+        body: object({ ...serviceFields, lowStockThreshold: { type: ['integer', 'null'], minimum: 0, maximum: MAX_INT } }),
+        responses: { 200: messageWith({ service: ref('Service') }) },
+    },
+    'DELETE /api/services/:id': {
+        summary: 'Delete a service',
+        params: params(['id']),
+        responses: { 200: ref('Message') },
+    },
+    'POST /api/services/:id/image': {
+        summary: 'Upload the service\'s image',
+        params: params(['id']),
+        requestContent: {
+            'multipart/form-data': object({ image: { type: 'string', contentMediaType: 'application/octet-stream' } }, ['image']),
+        },
+        responses: { 201: messageWith({ service: ref('Service') }) },
+    },
+    'POST /api/services/:id/stock-adjustments': {
+        summary: 'Add or remove stock, with a reason',
+        params: params(['id']),
+        body: object({
+            adjustment: { type: 'integer', minimum: -1000000, maximum: 1000000 },
+            reason: requiredText(500),
+        }, ['adjustment', 'reason']),
+        responses: { 200: messageWith({ service: ref('Service') }) },
+    },
+    'GET /api/media/:id': {
+        summary: 'Download an uploaded image',
+        params: params(['id']),
+        responses: { 200: respond({ 'image/*': { type: 'string', contentMediaType: 'application/octet-stream' } }) },
+    },
+    'GET /api/admin/stock/low': {
+        summary: 'Tracked services at or below their low-stock threshold',
+        responses: { 200: listOf('LowStockService') },
+    },
+
+    'GET /api/categories': {
+        summary: 'List categories, flat or as a tree',
+        query: object({ includeInactive: flagText, tree: flagText }),
+        responses: { 200: listOf('Category') },
+    },
+    'GET /api/categories/:slug': {
+        summary: 'Get a category',
+        params: params(['slug']),
+        responses: { 200: ref('Category') },
+    },
+    'GET /api/categories/:slug/services': {
+        summary: 'Services in a category and its subcategories',
+        params: params(['slug']),
+        query: serviceListQuery,
+        responses: { 200: withCursor(listOf('Service')) },
+    },
+    'POST /api/categories': {
+        summary: 'Add a category',
+        body: object(categoryFields, ['name']),
+        responses: { 201: messageWith({ category: ref('Category') }) },
+    },
+    'PATCH /api/categories/:id': {
+        summary: 'Change a category',
+        params: params(['id']),
+        body: object(categoryFields),
+        responses: { 200: messageWith({ category: ref('Category') }) },
+    },
+    'DELETE /api/categories/:id': {
+        summary: 'Delete an empty category',
+        params: params(['id']),
+        responses: { 200: ref('Message') },
+    },
+
+    'POST /api/requests': {
+        summary: 'File a request for the signed-in account',
+        headers: idempotencyHeaders,
+        // { items: [...] }, or the older single { product_name, quantity }
+        body: object({
+            items: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 50,
+                items: object({ serviceId: id, productName: requiredText(200), quantity }, ['quantity']),
+            },
+            product_name: requiredText(200),
+            quantity,
+        }),
+        responses: { 201: replayable(messageWith({ request: ref('Request') })) },
+    },
+    'GET /api/requests': {
+        summary: 'Every request for staff and admins, only their own for customers',
+        responses: { 200: listOf('Request') },
+    },
+    'PATCH /api/requests/:id': {
+        summary: 'Move a request to another status',
+        params: params(['id']),
+        body: object({ status: { type: 'string', enum: REQUEST_STATUSES }, note }, ['status']),
+        responses: { 200: messageWith({ request: ref('Request') }) },
+    },
+    'GET /api/requests/:username': {
+        summary: 'One account\'s requests',
+        params: params(['username']),
+        responses: { 200: listOf('Request') },
+    },
+    'GET /api/requests/:id/history': {
+        summary: 'A request\'s status changes, oldest first',
+        params: params(['id']),
+        responses: { 200: listOf('StatusChange') },
+    },
+    'POST /api/requests/:id/cancel': {
+        summary: 'Withdraw one of your own Pending requests',
+        params: params(['id']),
+        body: object({ note }),
+        responses: { 200: messageWith({ request: ref('Request') }) },
+    },
+    'GET /api/events': {
+        summary: 'Server-Sent Events for the signed-in customer\'s requests',
+        query: eventStreamQuery,
+        headers: eventStreamHeaders,
+        responses: { 200: eventStream },
+    },
+
+    'POST /api/admin/add': {
+        summary: 'Add an admin account',
+        body: credentials,
+        responses: { 200: ref('Message') },
+    },
+    'GET /api/admin/profile': {
+        summary: 'The signed-in admin',
+        responses: { 200: object({ ...RESOURCE_SCHEMAS.User.properties, twoFactorEnabled: { type: 'boolean' } }) },
+    },
+    'GET /api/admin/all': {
+        summary: 'Every admin account',
+        responses: { 200: listOf('User') },
+    },
+    'GET /api/admin/users': {
+        summary: 'Every account with its role',
+        responses: { 200: listOf('User') },
+    },
+    'PATCH /api/admin/users/:id/role': {
+        summary: 'Change an account\'s role',
+        params: params(['id']),
+        body: object({ role: { type: 'string', enum: ROLES } }, ['role']),
+        responses: { 200: messageWith({ user: ref('User') }) },
+    },
+    'GET /api/admin/lockouts': {
+        summary: 'Usernames and IPs locked out of login',
+        responses: { 200: listOf('Lockout') },
+    },
+    'DELETE /api/admin/lockouts/:id': {
+        summary: 'Clear a lockout early',
+        params: params(['id']),
+        responses: { 200: ref('Message') },
+    },
+    'POST /api/admin/2fa/setup': {
+        summary: 'Start two-factor enrolment',
+        responses: { 200: messageWith({ secret: { type: 'string' }, otpauthUrl: { type: 'string' } }) },
+    },
+    'POST /api/admin/2fa/enable': {
+        summary: 'Confirm two-factor enrolment with a first code',
+        body: object({ code: twoFactorCode }, ['code']),
+        responses: { 200: messageWith({ recoveryCodes: { type: 'array', items: { type: 'string' } } }) },
+    },
+    'POST /api/admin/2fa/disable': {
+        summary: 'Turn two-factor authentication off',
+        body: object({ password, code: twoFactorCode, recoveryCode: text(100) }, ['password']),
+        responses: { 200: ref('Message') },
+    },
+    'POST /api/admin/2fa/recovery-codes': {
+        summary: 'Replace the recovery codes',
+        body: object({ code: twoFactorCode }, ['code']),
+        responses: { 200: messageWith({ recoveryCodes: { type: 'array', items: { type: 'string' } } }) },
+    },
+    'GET /api/admin/events': {
+        summary: 'Server-Sent Events for every request',
+        query: eventStreamQuery,
+        headers: eventStreamHeaders,
+        responses: { 200: eventStream },
+    },
+    'GET /api/admin/webhooks': {
+        summary: 'List webhook subscriptions',
+        responses: { 200: listOf('Webhook') },
+    },
+    'POST /api/admin/webhooks': {
+        summary: 'Subscribe a URL to events; the signing secret is only shown here',
+        body: object(webhookFields, ['url', 'events']),
+        responses: { 201: messageWith({ webhook: ref('Webhook'), secret: { type: 'string' } }) },
+    },
+    'PATCH /api/admin/webhooks/:id': {
+        summary: 'Change a webhook subscription',
+        params: params(['id']),
+        body: object(webhookFields),
+        responses: { 200: messageWith({ webhook: ref('Webhook') }) },
+    },
+    'DELETE /api/admin/webhooks/:id': {
+        summary: 'Remove a webhook subscription',
+        params: params(['id']),
+        responses: { 200: ref('Message') },
+    },
+    'GET /api/admin/webhooks/:id/deliveries': {
+        summary: 'A subscription\'s delivery log, newest first',
+        params: params(['id']),
+        query: object({ status: { type: 'string', enum: ['pending', 'delivered', 'failed'] }, limit: wholeNumberText }),
+        responses: { 200: listOf('WebhookDelivery') },
+    },
+    'POST /api/admin/webhook-deliveries/:id/replay': {
+        summary: 'Send a past delivery again',
+        params: params(['id']),
+        responses: { 202: messageWith({ delivery: ref('WebhookDelivery') }) },
+    },
+    'GET /api/admin/audit': {
+        summary: 'Search the audit trail, newest first',
+        query: object({
+            actor: text(200),
+            action: text(200),
+            target: text(200),
+            from: text(40),
+            to: text(40),
+            cursor: wholeNumberText,
+            limit: wholeNumberText,
+        }),
+        responses: { 200: withCursor(listOf('AuditEntry')) },
+    },
+    'GET /api/admin/audit/verify': {
+        summary: 'Check the audit trail\'s hash chain',
+        responses: {
+            200: object({
+                ok: { type: 'boolean' },
+                entries: { type: 'integer' },
+                entryId: nullable('integer'),
+                problem: { type: 'string' },
+            }, ['ok']),
+        },
+    },
+    'GET /api/admin/reports/:name': {
+        summary: 'Run a report: volume, top-services, status-funnel, time-to-dispatch or customers',
+        params: params(['name']),
+        query: object({
+            from: dayText,
+            to: dayText,
+            interval: { type: 'string', enum: ['day', 'week', 'month'] },
+            limit: wholeNumberText,
+            format: formatText,
+        }),
+        responses: { 200: csvOrJson(ref('Report')) },
+    },
+};
+
+module.exports = { ROUTE_SCHEMAS, RESOURCE_SCHEMAS };
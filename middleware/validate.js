@@ -0,0 +1,61 @@
+const Ajv2020 = require('ajv/dist/2020');
+const { ROUTE_SCHEMAS } = require('./schemas');
+const { ProblemError } = require('../lib/problems');
+
+const ajv = new Ajv2020({ allErrors: true, verbose: true, allowUnionTypes: true });
+
+const LOCATIONS = ['params', 'query', 'headers', 'body'];
+
+// A JSON pointer such as /items/0/quantity as items[0].quantity
+const fieldPath = (pointer, property) => [...pointer.split('/').slice(1), ...(property === undefined ? [] : [property])]
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((path, segment) => {
+        if (/^\d+$/.test(segment)) {
+            return `${path}[${segment}]`;
+        }
+        return path ? `${path}.${segment}` : segment;
+    }, '');
+
+const toFieldError = (location, error) => {
+    if (error.keyword === 'required') {
+        return { in: location, field: fieldPath(error.instancePath, error.params.missingProperty), message: 'is required' };
+    }
+
+    let { message } = error;
+    if (error.keyword === 'enum') {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'pattern' && error.parentSchema.description) {
+        message = `must be ${error.parentSchema.description}`;
+    }
+    return { in: location, field: fieldPath(error.instancePath) || null, message };
+};
+
+// Check a route's path parameters, query string, headers and body against its entry in
+// ROUTE_SCHEMAS. Goes after authorize(), so only signed-in callers learn what a route expects.
+// Anything that does not fit is refused with a 400 listing each problem field.
+const validate = (routeKey) => {
+    if (!(routeKey in ROUTE_SCHEMAS)) {
+        throw new Error(`No request schema for route ${routeKey}`);
+    }
+
+    const validators = LOCATIONS
+        .filter((location) => ROUTE_SCHEMAS[routeKey][location])
+        .map((location) => [location, ajv.compile(ROUTE_SCHEMAS[routeKey][location])]);
+
+    return (req, res, next) => {
+        const errors = [];
+        for (const [location, check] of validators) {
+            if (!check(req[location])) {
+                errors.push(...check.errors.map((error) => toFieldError(location, error)));
+            }
+        }
+
+        if (errors.length > 0) {
+            const detail = errors.map((error) => `${error.field ?? error.in} ${error.message}`).join('; ');
+            return next(new ProblemError(400, detail, { errors }));
+        }
+        next();
+    };
+};
+
+module.exports = { validate };
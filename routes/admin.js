@@ -0,0 +1,425 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { authorize } = require('../middleware/permissions');
+const { acceptQueryToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { revokeAllSessions, revokeOtherSessions } = require('../lib/sessions');
+const { listLowStock } = require('../lib/stock');
+const { hashPassword, checkNewPassword } = require('../lib/passwords');
+const { listLockouts, clearLockout } = require('../lib/loginGuard');
+const {
+    startEnrolment,
+    enableTwoFactor,
+    disableTwoFactor,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+} = require('../lib/twoFactor');
+const {
+    WebhookError,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    replayDelivery,
+} = require('../lib/webhooks');
+const { openEventStream } = require('../lib/events');
+const { AuditQueryError, listAudit, verifyAuditChain } = require('../lib/audit');
+const { REPORTS, ReportQueryError } = require('../lib/reports');
+const { toCsv } = require('../lib/csv');
+
+// Back office: accounts and roles, 2FA, lockouts, webhooks, the audit trail, stock and reports
+const createAdminRoutes = ({ db, config, clock, auditAction, eventHub, webhookDispatcher }) => {
+    const router = express.Router();
+
+    ///add admin route
+    router.post('/api/admin/add', authorize('POST /api/admin/add'), validate('POST /api/admin/add'), async (req, res, next) => {
+        const { username, password } = req.body;
+
+        const passwordError = checkNewPassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        try {
+            const hashedPassword = await hashPassword(password);
+
+            const query = `
+                INSERT INTO users (username, password, role)
+                VALUES ($1, $2, 'admin')
+                ON CONFLICT (username) DO NOTHING
+                RETURNING id;
+            `;
+            const values = [username, hashedPassword];
+
+            const result = await db.query(query, values);
+
+            if (result.rows.length === 0) {
+                return res.status(409).json({ error: 'Username already exists.' });
+            }
+
+            await auditAction(req, 'admin.created', {
+                target: `user:${result.rows[0].id}`,
+                after: { id: result.rows[0].id, username, role: 'admin' },
+            });
+
+            res.json({ message: `Admin ${username} added successfully!` });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+
+
+    // Admin Profile Route
+    router.get('/api/admin/profile', authorize('GET /api/admin/profile'), validate('GET /api/admin/profile'), async (req, res, next) => {
+        try {
+            // Query the database to get admin details
+            const query = "SELECT id, username, role, totp_enabled_at FROM users WHERE id = $1 AND role = 'admin'";
+            const result = await db.query(query, [req.admin.id]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Admin not found.' });
+            }
+
+            const { totp_enabled_at, ...admin } = result.rows[0];
+            res.json({ ...admin, twoFactorEnabled: Boolean(totp_enabled_at) }); // Return the admin details
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/api/admin/all', authorize('GET /api/admin/all'), validate('GET /api/admin/all'), async (req, res, next) => {
+        try {
+            const query = "SELECT id, username, role FROM users WHERE role = 'admin';";
+            const result = await db.query(query);
+
+            res.json(result.rows); // Return all admin details
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // List every account with its role
+    router.get('/api/admin/users', authorize('GET /api/admin/users'), validate('GET /api/admin/users'), async (req, res, next) => {
+        try {
+            const query = 'SELECT id, username, role FROM users ORDER BY id;';
+            const result = await db.query(query);
+
+            res.json(result.rows);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Grant or change an account's role (the only way to get anything above customer)
+    router.patch('/api/admin/users/:id/role', authorize('PATCH /api/admin/users/:id/role'), validate('PATCH /api/admin/users/:id/role'), async (req, res, next) => {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        // Stops the last admin from accidentally locking everyone out
+        if (Number(id) === req.admin.id) {
+            return res.status(400).json({ error: 'You cannot change your own role.' });
+        }
+
+        try {
+            const current = await db.query('SELECT role FROM users WHERE id = $1', [id]);
+            const query = 'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, username, role';
+            const result = await db.query(query, [role, id]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'User not found.' });
+            }
+
+            await auditAction(req, 'user.role_changed', {
+                target: `user:${result.rows[0].id}`,
+                before: { role: current.rows[0].role },
+                after: { role },
+            });
+
+            // Existing tokens still carry the old role, so sign the account out everywhere
+            await revokeAllSessions(db, id, clock);
+
+            res.json({ message: 'Role updated successfully!', user: result.rows[0] });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Low Stock Report: tracked services at or below their low-stock threshold
+    router.get('/api/admin/stock/low', authorize('GET /api/admin/stock/low'), validate('GET /api/admin/stock/low'), async (req, res, next) => {
+        try {
+            res.json(await listLowStock(db, config.stock.lowStockThreshold));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // List usernames and IPs currently locked out of login
+    router.get('/api/admin/lockouts', authorize('GET /api/admin/lockouts'), validate('GET /api/admin/lockouts'), async (req, res, next) => {
+        try {
+            const result = await listLockouts(db, clock);
+            res.json(result.rows);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Clear a lockout early
+    router.delete('/api/admin/lockouts/:id', authorize('DELETE /api/admin/lockouts/:id'), validate('DELETE /api/admin/lockouts/:id'), async (req, res, next) => {
+        try {
+            const lockout = await clearLockout(db, req.params.id);
+
+            if (!lockout) {
+                return res.status(404).json({ error: 'Lockout not found.' });
+            }
+
+            await auditAction(req, 'auth.lockout_cleared', { target: `${lockout.scope}:${lockout.key}`, before: lockout });
+
+            res.json({ message: 'Lockout cleared successfully!' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Start 2FA enrolment: returns the secret and an otpauth:// URI for the authenticator app
+    router.post('/api/admin/2fa/setup', authorize('POST /api/admin/2fa/setup'), validate('POST /api/admin/2fa/setup'), async (req, res, next) => {
+        if (req.admin.twoFactorEnabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+        }
+
+        try {
+            const enrolment = await startEnrolment(db, req.admin, config.auth.totpIssuer);
+            // Replaces any enrolment that was started and never confirmed
+            await auditAction(req, 'auth.2fa_setup_started', { target: `user:${req.admin.id}` });
+            res.json({ message: 'Scan the code, then confirm it at /api/admin/2fa/enable', ...enrolment });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Confirm enrolment with a first code; returns one-time recovery codes and signs out other devices
+    router.post('/api/admin/2fa/enable', authorize('POST /api/admin/2fa/enable'), validate('POST /api/admin/2fa/enable'), async (req, res, next) => {
+        const { code } = req.body;
+
+        try {
+            const recoveryCodes = await enableTwoFactor(db, req.admin.id, code, clock);
+
+            if (!recoveryCodes) {
+                return res.status(400).json({ error: 'Invalid code, or enrolment was not started.' });
+            }
+
+            await revokeOtherSessions(db, req.admin.id, req.admin.sid, clock);
+            await auditAction(req, 'auth.2fa_enabled', { target: `user:${req.admin.id}` });
+
+            res.json({ message: 'Two-factor authentication enabled. Store these recovery codes safely.', recoveryCodes });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Turn 2FA off; needs the password and a current code (or recovery code)
+    router.post('/api/admin/2fa/disable', authorize('POST /api/admin/2fa/disable'), validate('POST /api/admin/2fa/disable'), async (req, res, next) => {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ error: 'Missing code or recovery code.' });
+        }
+
+        try {
+            const result = await db.query('SELECT password FROM users WHERE id = $1', [req.admin.id]);
+
+            if (!(await bcrypt.compare(password, result.rows[0].password))
+                || !(await verifySecondFactor(db, req.admin.id, { code, recoveryCode }, clock))) {
+                return res.status(401).json({ error: 'Invalid password or code.' });
+            }
+
+            await disableTwoFactor(db, req.admin.id);
+            await auditAction(req, 'auth.2fa_disabled', { target: `user:${req.admin.id}` });
+
+            res.json({ message: 'Two-factor authentication disabled.' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Replace the recovery codes after proving a current code
+    router.post('/api/admin/2fa/recovery-codes', authorize('POST /api/admin/2fa/recovery-codes'), validate('POST /api/admin/2fa/recovery-codes'), async (req, res, next) => {
+        const { code } = req.body;
+
+        try {
+            if (!(await verifySecondFactor(db, req.admin.id, { code }, clock))) {
+                return res.status(401).json({ error: 'Invalid code.' });
+            }
+
+            const recoveryCodes = await regenerateRecoveryCodes(db, req.admin.id, clock);
+            await auditAction(req, 'auth.2fa_recovery_codes_replaced', { target: `user:${req.admin.id}` });
+            res.json({ message: 'Recovery codes replaced. Store them safely.', recoveryCodes });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Live feed of every request's events for the admin dashboard, as /api/events
+    router.get('/api/admin/events', acceptQueryToken, authorize('GET /api/admin/events'), validate('GET /api/admin/events'), (req, res) => {
+        openEventStream(req, res, { db, hub: eventHub });
+    });
+
+    // List webhook subscriptions (secrets are only shown when created)
+    router.get('/api/admin/webhooks', authorize('GET /api/admin/webhooks'), validate('GET /api/admin/webhooks'), async (req, res, next) => {
+        try {
+            res.json(await listWebhooks(db));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Subscribe a URL to events: { url, events: ["request.created", ...] or ["*"], description }.
+    // The response carries the signing secret; it cannot be read back later.
+    router.post('/api/admin/webhooks', authorize('POST /api/admin/webhooks'), validate('POST /api/admin/webhooks'), async (req, res, next) => {
+        const { url, events, description } = req.body;
+
+        try {
+            const { webhook, secret } = await createWebhook(db, { url, events, description }, clock);
+            await auditAction(req, 'webhook.created', { target: `webhook:${webhook.id}`, after: webhook });
+
+            res.status(201).json({ message: 'Webhook created. Store the secret safely.', webhook, secret });
+        } catch (error) {
+            if (error instanceof WebhookError) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Change a subscription's url, events, description or active flag
+    router.patch('/api/admin/webhooks/:id', authorize('PATCH /api/admin/webhooks/:id'), validate('PATCH /api/admin/webhooks/:id'), async (req, res, next) => {
+        const { url, events, description, active } = req.body;
+
+        try {
+            const before = (await listWebhooks(db)).find((webhook) => String(webhook.id) === req.params.id);
+            const webhook = await updateWebhook(db, req.params.id, { url, events, description, active }, clock);
+
+            if (!webhook) {
+                return res.status(404).json({ error: 'Webhook not found.' });
+            }
+
+            await auditAction(req, 'webhook.updated', { target: `webhook:${webhook.id}`, before, after: webhook });
+            res.json({ message: 'Webhook updated successfully!', webhook });
+        } catch (error) {
+            if (error instanceof WebhookError) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Remove a subscription along with its delivery log
+    router.delete('/api/admin/webhooks/:id', authorize('DELETE /api/admin/webhooks/:id'), validate('DELETE /api/admin/webhooks/:id'), async (req, res, next) => {
+        try {
+            const before = (await listWebhooks(db)).find((webhook) => String(webhook.id) === req.params.id);
+
+            if (!(await deleteWebhook(db, req.params.id))) {
+                return res.status(404).json({ error: 'Webhook not found.' });
+            }
+
+            await auditAction(req, 'webhook.deleted', { target: `webhook:${req.params.id}`, before });
+            res.json({ message: 'Webhook deleted successfully!' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Delivery log for a subscription, newest first: ?status=pending|delivered|failed&limit=50
+    router.get('/api/admin/webhooks/:id/deliveries', authorize('GET /api/admin/webhooks/:id/deliveries'), validate('GET /api/admin/webhooks/:id/deliveries'), async (req, res, next) => {
+        const { status } = req.query;
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+        if (limit < 1 || limit > 200) {
+            return res.status(400).json({ error: 'limit must be a whole number from 1 to 200.' });
+        }
+
+        try {
+            res.json(await listDeliveries(db, req.params.id, { status, limit }));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Send a past delivery again; it is queued as a new delivery that points back at the original
+    router.post('/api/admin/webhook-deliveries/:id/replay', authorize('POST /api/admin/webhook-deliveries/:id/replay'), validate('POST /api/admin/webhook-deliveries/:id/replay'), async (req, res, next) => {
+        try {
+            const delivery = await replayDelivery(db, req.params.id, clock);
+
+            if (!delivery) {
+                return res.status(404).json({ error: 'Delivery not found.' });
+            }
+
+            await auditAction(req, 'webhook.replayed', { target: `webhook_delivery:${req.params.id}`, details: { replayId: delivery.id } });
+            webhookDispatcher.runDue();
+
+            res.status(202).json({ message: 'Delivery queued for replay.', delivery });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Search the audit trail, newest first: ?actor=&action=service.*&target=service:12&from=&to=
+    // Pages with limit and cursor; the next page's cursor comes back in X-Next-Cursor.
+    router.get('/api/admin/audit', authorize('GET /api/admin/audit'), validate('GET /api/admin/audit'), async (req, res, next) => {
+        try {
+            const { entries, nextCursor } = await listAudit(db, req.query);
+
+            if (nextCursor) {
+                res.set('X-Next-Cursor', nextCursor);
+            }
+            res.json(entries);
+        } catch (error) {
+            if (error instanceof AuditQueryError) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Check the audit trail's hash chain for edited or missing entries
+    router.get('/api/admin/audit/verify', authorize('GET /api/admin/audit/verify'), validate('GET /api/admin/audit/verify'), async (req, res, next) => {
+        try {
+            res.json(await verifyAuditChain(db));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Reports Route: volume (?interval=day|week|month), top-services, status-funnel,
+    // time-to-dispatch and customers, over ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC days, inclusive).
+    // Send ?format=csv or Accept: text/csv for a CSV download instead of JSON.
+    router.get('/api/admin/reports/:name', authorize('GET /api/admin/reports/:name'), validate('GET /api/admin/reports/:name'), async (req, res, next) => {
+        const { name } = req.params;
+        const report = Object.hasOwn(REPORTS, name) ? REPORTS[name] : null;
+        const format = req.query.format ?? (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+
+        if (!report) {
+            return res.status(404).json({ error: `Unknown report. Use one of: ${Object.keys(REPORTS).join(', ')}.` });
+        }
+
+        try {
+            const { columns, rows, ...parameters } = await report(db, req.query, clock);
+
+            if (format === 'csv') {
+                res.attachment(`${name}-${parameters.from}-to-${parameters.to}.csv`);
+                return res.type('text/csv').send(toCsv(columns, rows));
+            }
+            res.json({ report: name, ...parameters, rows });
+        } catch (error) {
+            if (error instanceof ReportQueryError) {
+                return res.status(400).json({ error: `${error.message}.` });
+            }
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAdminRoutes };
@@ -0,0 +1,249 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const {
+    SessionError,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    revokeOtherSessions,
+} = require('../lib/sessions');
+const {
+    hashPassword,
+    checkNewPassword,
+    createResetToken,
+    consumeResetToken,
+} = require('../lib/passwords');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../lib/loginGuard');
+const { verifySecondFactor, signChallenge, verifyChallenge } = require('../lib/twoFactor');
+
+// Accounts and sessions: registration, sign-in (with the 2FA step), token refresh, passwords and sign-out
+const createAuthRoutes = ({ db, clock, notifier, config }) => {
+    const router = express.Router();
+    const { auth } = config;
+    const loginLimits = config.rateLimits.login;
+
+    // Register Route: self-registered accounts are always customers, whatever role is sent
+    router.post('/api/auth/register', authorize('POST /api/auth/register'), validate('POST /api/auth/register'), async (req, res, next) => {
+        const { username, password } = req.body;
+
+        const passwordError = checkNewPassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        try {
+            const hashedPassword = await hashPassword(password);
+            const query = `
+                INSERT INTO users (username, password, role) 
+                VALUES ($1, $2, 'customer') 
+                RETURNING id, username, role;
+            `;
+            const values = [username, hashedPassword];
+            const result = await db.query(query, values);
+
+            res.status(201).json({ message: 'User registered successfully!', user: result.rows[0] });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Login Route (customers, staff and admins alike)
+    router.post('/api/auth/login', authorize('POST /api/auth/login'), validate('POST /api/auth/login'), async (req, res, next) => {
+        const { username, password } = req.body;
+
+        try {
+            // Refuse early while the username or IP is delayed or locked out
+            const attempt = await checkLoginAllowed(db, { username, ip: req.ip }, clock);
+            if (!attempt.allowed) {
+                res.set('Retry-After', String(attempt.retryAfter));
+                return res.status(429).json({
+                    error: attempt.locked
+                        ? 'Too many failed login attempts. Account temporarily locked.'
+                        : 'Too many failed login attempts. Please wait before trying again.',
+                    retryAfter: attempt.retryAfter,
+                });
+            }
+
+            const query = 'SELECT * FROM users WHERE username = $1';
+            const result = await db.query(query, [username]);
+            const user = result.rows[0];
+
+            if (!user || !(await bcrypt.compare(password, user.password))) {
+                await recordLoginFailure(db, { username, ip: req.ip }, loginLimits, clock);
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+
+            // Accounts with 2FA finish signing in at /api/auth/login/2fa
+            if (user.totp_enabled_at) {
+                return res.json({ message: 'Two-factor code required', twoFactorRequired: true, challengeToken: signChallenge(user, auth.jwtSecret) });
+            }
+
+            await recordLoginSuccess(db, { username });
+
+            const { token, refreshToken } = await createSession(db, user, auth, clock);
+
+            // Include the username and role in the response
+            res.json({ message: 'Login successful', token, refreshToken, username: user.username, role: user.role });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Two-Factor Login Route: trade the login challenge plus a TOTP or recovery code for tokens
+    router.post('/api/auth/login/2fa', authorize('POST /api/auth/login/2fa'), validate('POST /api/auth/login/2fa'), async (req, res, next) => {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ error: 'Missing code or recovery code' });
+        }
+
+        const challenge = verifyChallenge(challengeToken, auth.jwtSecret);
+        if (!challenge) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token' });
+        }
+
+        try {
+            // Second-factor guesses count towards the same lockout as password guesses
+            const attempt = await checkLoginAllowed(db, { username: challenge.username, ip: req.ip }, clock);
+            if (!attempt.allowed) {
+                res.set('Retry-After', String(attempt.retryAfter));
+                return res.status(429).json({
+                    error: 'Too many failed login attempts. Please wait before trying again.',
+                    retryAfter: attempt.retryAfter,
+                });
+            }
+
+            if (!(await verifySecondFactor(db, challenge.id, { code, recoveryCode }, clock))) {
+                await recordLoginFailure(db, { username: challenge.username, ip: req.ip }, loginLimits, clock);
+                return res.status(401).json({ error: 'Invalid two-factor code' });
+            }
+
+            await recordLoginSuccess(db, { username: challenge.username });
+
+            const result = await db.query('SELECT id, username, role FROM users WHERE id = $1', [challenge.id]);
+            const user = result.rows[0];
+            const { token, refreshToken } = await createSession(db, user, auth, clock);
+
+            res.json({ message: 'Login successful', token, refreshToken, username: user.username, role: user.role });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Refresh Route: swap a refresh token for a new token pair
+    router.post('/api/auth/refresh', authorize('POST /api/auth/refresh'), validate('POST /api/auth/refresh'), async (req, res, next) => {
+        const { refreshToken } = req.body;
+
+        try {
+            const tokens = await rotateRefreshToken(db, refreshToken, auth, clock);
+            res.json({ message: 'Token refreshed', ...tokens });
+        } catch (error) {
+            if (error instanceof SessionError) {
+                return res.status(401).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Change Password Route: requires the current password, then signs out other devices
+    router.post('/api/auth/change-password', authorize('POST /api/auth/change-password'), validate('POST /api/auth/change-password'), async (req, res, next) => {
+        const { currentPassword, newPassword } = req.body;
+
+        const passwordError = checkNewPassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        try {
+            const result = await db.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+
+            if (result.rows.length === 0 || !(await bcrypt.compare(currentPassword, result.rows[0].password))) {
+                return res.status(401).json({ error: 'Current password is incorrect' });
+            }
+
+            await db.query('UPDATE users SET password = $1 WHERE id = $2', [await hashPassword(newPassword), req.user.id]);
+            await revokeOtherSessions(db, req.user.id, req.user.sid, clock);
+
+            res.json({ message: 'Password changed successfully' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Forgot Password Route: sends a reset token through the notifier.
+    // Always answers the same way so it cannot be used to probe for usernames.
+    router.post('/api/auth/forgot-password', authorize('POST /api/auth/forgot-password'), validate('POST /api/auth/forgot-password'), async (req, res, next) => {
+        const { username } = req.body;
+
+        try {
+            const result = await db.query('SELECT id, username FROM users WHERE username = $1', [username]);
+
+            if (result.rows.length > 0) {
+                const user = result.rows[0];
+                const { token } = await createResetToken(db, user.id, auth.passwordResetTtlMinutes, clock);
+
+                await notifier.send({
+                    to: user.username,
+                    subject: 'Reset your password',
+                    text: `Use this code to reset your password: ${token}\n`
+                        + `It expires in ${auth.passwordResetTtlMinutes} minutes and can only be used once.`,
+                });
+            }
+
+            res.json({ message: 'If that account exists, a reset code has been sent' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Reset Password Route: spends a reset token and signs the account out everywhere
+    router.post('/api/auth/reset-password', authorize('POST /api/auth/reset-password'), validate('POST /api/auth/reset-password'), async (req, res, next) => {
+        const { token, newPassword } = req.body;
+
+        const passwordError = checkNewPassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        try {
+            const userId = await consumeResetToken(db, token, newPassword, clock);
+
+            if (!userId) {
+                return res.status(400).json({ error: 'Invalid or expired reset token' });
+            }
+
+            await revokeAllSessions(db, userId, clock);
+
+            res.json({ message: 'Password reset successfully' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Logout Route: revoke the session behind the current token
+    router.post('/api/auth/logout', authorize('POST /api/auth/logout'), validate('POST /api/auth/logout'), async (req, res, next) => {
+        try {
+            await revokeSession(db, req.user.sid, clock);
+            res.json({ message: 'Logged out successfully' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Logout Everywhere Route: revoke every session the account has
+    router.post('/api/auth/logout-all', authorize('POST /api/auth/logout-all'), validate('POST /api/auth/logout-all'), async (req, res, next) => {
+        try {
+            await revokeAllSessions(db, req.user.id, clock);
+            res.json({ message: 'Logged out of all sessions' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAuthRoutes };
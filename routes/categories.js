@@ -0,0 +1,204 @@
+const express = require('express');
+const { authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { CatalogQueryError, listServices } = require('../lib/catalog');
+const {
+    SLUG_PATTERN,
+    slugify,
+    toCategory,
+    listCategories,
+    findCategoryBySlug,
+    findCategoryById,
+    descendantIds,
+    buildTree,
+} = require('../lib/categories');
+
+// The category tree services are filed under
+const createCategoryRoutes = ({ db, clock, auditAction }) => {
+    const router = express.Router();
+
+    // List Categories Route: active categories in display order; tree=true nests them under
+    // their parents, includeInactive=true adds the hidden ones
+    router.get('/api/categories', authorize('GET /api/categories'), validate('GET /api/categories'), async (req, res, next) => {
+        try {
+            const categories = await listCategories(db, { includeInactive: req.query.includeInactive === 'true' });
+            res.status(200).json(req.query.tree === 'true' ? buildTree(categories) : categories);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Get Category Route
+    router.get('/api/categories/:slug', authorize('GET /api/categories/:slug'), validate('GET /api/categories/:slug'), async (req, res, next) => {
+        try {
+            const category = await findCategoryBySlug(db, req.params.slug);
+
+            if (!category || !category.active) {
+                return res.status(404).json({ error: 'Category not found' });
+            }
+
+            res.status(200).json(category);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Category Services Route: services in the category and its active subcategories,
+    // with the same filters, sorting and paging as /api/services
+    router.get('/api/categories/:slug/services', authorize('GET /api/categories/:slug/services'), validate('GET /api/categories/:slug/services'), async (req, res, next) => {
+        try {
+            const category = await findCategoryBySlug(db, req.params.slug);
+
+            if (!category || !category.active) {
+                return res.status(404).json({ error: 'Category not found' });
+            }
+
+            const categoryIds = descendantIds(await listCategories(db), category.id);
+            const { services, nextCursor } = await listServices(db, req.query, { categoryIds });
+
+            if (nextCursor) {
+                res.set('X-Next-Cursor', nextCursor);
+            }
+            res.status(200).json(services);
+        } catch (error) {
+            if (error instanceof CatalogQueryError) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Add Category Route: slug defaults to one made from the name
+    router.post('/api/categories', authorize('POST /api/categories'), validate('POST /api/categories'), async (req, res, next) => {
+        const { name, parentId = null, displayOrder = 0, active = true } = req.body;
+        const slug = req.body.slug ?? (name ? slugify(name) : undefined);
+
+        if (!name.trim()) {
+            return res.status(400).json({ error: 'Name cannot be blank' });
+        }
+        // A slug made from the name can still come out empty
+        if (!SLUG_PATTERN.test(slug)) {
+            return res.status(400).json({ error: 'Slug may only contain lowercase letters, digits and single hyphens' });
+        }
+
+        try {
+            if (parentId !== null && !(await findCategoryById(db, parentId))) {
+                return res.status(400).json({ error: 'Parent category not found' });
+            }
+
+            const now = clock.now().toISOString();
+            const query = `
+                INSERT INTO categories (parent_id, name, slug, display_order, active, created_at, updated_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $6)
+                RETURNING *;
+            `;
+            const values = [parentId, name.trim(), slug, displayOrder, Boolean(active), now];
+            const result = await db.query(query, values);
+
+            const category = toCategory(result.rows[0]);
+            await auditAction(req, 'category.created', { target: `category:${category.id}`, after: category });
+
+            res.status(201).json({ message: 'Category added successfully!', category });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Update Category Route: renaming also updates the category name copied onto its services
+    router.patch('/api/categories/:id', authorize('PATCH /api/categories/:id'), validate('PATCH /api/categories/:id'), async (req, res, next) => {
+        const { name, slug, parentId, displayOrder, active } = req.body;
+
+        if (name !== undefined && !name.trim()) {
+            return res.status(400).json({ error: 'Name cannot be blank' });
+        }
+
+        try {
+            const categories = await listCategories(db, { includeInactive: true });
+            const category = categories.find((c) => String(c.id) === req.params.id);
+
+            if (!category) {
+                return res.status(404).json({ error: 'Category not found' });
+            }
+
+            if (parentId !== undefined && parentId !== null) {
+                if (!categories.some((c) => c.id === parentId)) {
+                    return res.status(400).json({ error: 'Parent category not found' });
+                }
+                // A category cannot move under itself or one of its own subcategories
+                if (descendantIds(categories, category.id).includes(parentId)) {
+                    return res.status(400).json({ error: 'A category cannot be nested inside itself' });
+                }
+            }
+
+            const updated = {
+                name: name === undefined ? category.name : name.trim(),
+                slug: slug ?? category.slug,
+                parentId: parentId === undefined ? category.parent_id : parentId,
+                displayOrder: displayOrder ?? category.display_order,
+                active: active === undefined ? category.active : Boolean(active),
+            };
+
+            const result = await db.transaction(async (tx) => {
+                const now = clock.now().toISOString();
+                const query = `
+                    UPDATE categories
+                    SET name = $1, slug = $2, parent_id = $3, display_order = $4, active = $5, updated_at = $6
+                    WHERE id = $7
+                    RETURNING *;
+                `;
+                const values = [updated.name, updated.slug, updated.parentId, updated.displayOrder, updated.active, now, category.id];
+                const saved = await tx.query(query, values);
+
+                if (updated.name !== category.name) {
+                    await tx.query('UPDATE services SET category = $1 WHERE category_id = $2', [updated.name, category.id]);
+                }
+                return saved;
+            });
+
+            const saved = toCategory(result.rows[0]);
+            await auditAction(req, 'category.updated', { target: `category:${saved.id}`, before: category, after: saved });
+
+            res.status(200).json({ message: 'Category updated successfully!', category: saved });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Delete Category Route: only empty categories can go; deactivate the others instead
+    router.delete('/api/categories/:id', authorize('DELETE /api/categories/:id'), validate('DELETE /api/categories/:id'), async (req, res, next) => {
+        try {
+            const usage = await db.query(
+                `SELECT
+                    (SELECT COUNT(*) FROM categories WHERE parent_id = $1) AS children,
+                    (SELECT COUNT(*) FROM services WHERE category_id = $1 AND deleted_at IS NULL) AS services`,
+                [req.params.id]
+            );
+            const { children, services } = usage.rows[0];
+
+            if (Number(children) > 0 || Number(services) > 0) {
+                return res.status(409).json({ error: 'Category still has subcategories or services. Deactivate it instead.' });
+            }
+
+            const result = await db.transaction(async (tx) => {
+                // Soft-deleted services keep pointing at their old category by name only
+                await tx.query('UPDATE services SET category_id = NULL WHERE category_id = $1', [req.params.id]);
+                return tx.query('DELETE FROM categories WHERE id = $1 RETURNING *', [req.params.id]);
+            });
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Category not found' });
+            }
+
+            const before = toCategory(result.rows[0]);
+            await auditAction(req, 'category.deleted', { target: `category:${before.id}`, before });
+
+            res.status(200).json({ message: 'Category deleted successfully!' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createCategoryRoutes };
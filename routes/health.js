@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const express = require('express');
+const { createMigrator } = require('../db/migrator');
+const { CONTENT_TYPE } = require('../lib/metrics');
+
+// How long /readyz waits for the database before calling it down
+const READY_CHECK_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest();
+
+// Probes for the platform and the Prometheus scrape endpoint. They live outside /api, skip
+// the request log and are not in the OpenAPI document.
+const createHealthRoutes = ({ db, metrics, config }) => {
+    const router = express.Router();
+    const migrator = createMigrator(db);
+
+    // Liveness: the process is up and answering. It does not touch the database, so a
+    // database outage does not get every instance restarted.
+    router.get('/healthz', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    // Readiness: the database answers and every migration has been applied. Turns 503 as soon
+    // as shutdown starts, so the load balancer stops sending traffic while requests drain.
+    router.get('/readyz', async (req, res) => {
+        const checks = {};
+
+        try {
+            await withTimeout(db.ping(), READY_CHECK_TIMEOUT_MS);
+            checks.database = { status: 'ok' };
+        } catch (error) {
+            checks.database = { status: 'error', error: error.message };
+        }
+
+        if (checks.database.status === 'ok') {
+            try {
+                const pending = await withTimeout(migrator.pending(), READY_CHECK_TIMEOUT_MS);
+                checks.migrations = pending.length === 0
+                    ? { status: 'ok' }
+                    : { status: 'pending', pending: pending.map(({ version, name }) => `${version}_${name}`) };
+            } catch (error) {
+                checks.migrations = { status: 'error', error: error.message };
+            }
+        }
+
+        let status = 'ready';
+        if (req.app.locals.shuttingDown) {
+            status = 'shutting down';
+        } else if (!Object.values(checks).every((check) => check.status === 'ok')) {
+            status = 'not ready';
+        }
+
+        res.status(status === 'ready' ? 200 : 503).json({ status, checks });
+    });
+
+    // Prometheus metrics. With METRICS_TOKEN set, scrapers must send it as a bearer token.
+    router.get('/metrics', async (req, res, next) => {
+        if (config.metrics.token) {
+            const [scheme, token] = (req.get('Authorization') ?? '').split(' ');
+            if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(sha256(token), sha256(config.metrics.token))) {
+                return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Missing or invalid metrics token' });
+            }
+        }
+
+        try {
+            res.type(CONTENT_TYPE).send(await metrics.render());
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createHealthRoutes };
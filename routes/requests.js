@@ -0,0 +1,154 @@
+const express = require('express');
+const { hasPermission, authorize } = require('../middleware/permissions');
+const { acceptQueryToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const { RequestStatusError, changeRequestStatus } = require('../lib/requestStatus');
+const { OrderError, normalizeItems, createOrder, attachItems } = require('../lib/orders');
+const { StockError } = require('../lib/stock');
+const { openEventStream } = require('../lib/events');
+
+// Customer requests: filing them, moving them through their statuses, and the live event stream
+const createRequestRoutes = ({ db, clock, auditAction, emitRequestEvent, eventHub }) => {
+    const router = express.Router();
+
+    // Add Request Route: { items: [{ serviceId, quantity }] }, or the older { product_name, quantity }
+    // which is matched to a service by name. Requests are always filed for the signed-in account.
+    // Clients that retry should send an Idempotency-Key header so a retry cannot file it twice.
+    router.post('/api/requests', authorize('POST /api/requests'), validate('POST /api/requests'), idempotency(), async (req, res, next) => {
+        req.log.debug('Request received', { body: req.body });
+
+        try {
+            const items = normalizeItems(req.body);
+            const request = await createOrder(db, { user: req.user, items, clock });
+
+            req.log.info('Request filed', { request: { id: request.id, username: request.username, items: request.items.length, total: request.total } });
+
+            emitRequestEvent('request.created', request, request);
+            res.status(201).json({ message: 'Request submitted successfully!', request });
+        } catch (error) {
+            if (error instanceof OrderError) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error instanceof StockError) {
+                return res.status(409).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Get Requests: every request for admins, only their own for everyone else
+    router.get('/api/requests', authorize('GET /api/requests'), validate('GET /api/requests'), async (req, res, next) => {
+        try {
+            const result = hasPermission(req.user.role, 'requests:read:any')
+                ? await db.query('SELECT * FROM requests ORDER BY id;')
+                : await db.query('SELECT * FROM requests WHERE username = $1 ORDER BY id', [req.user.username]);
+
+            res.status(200).json(await attachItems(db, result.rows));
+        } catch (error) {
+            next(error);
+        }
+    });
+    //request dispatch for updating request dispatch: only moves allowed by lib/requestStatus.js
+    router.patch('/api/requests/:id', authorize('PATCH /api/requests/:id'), validate('PATCH /api/requests/:id'), async (req, res, next) => {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        try {
+            const { request, previousStatus } = await changeRequestStatus(db, { requestId: id, status, actor: req.user, note, clock });
+            await auditAction(req, 'request.status_changed', {
+                target: `request:${request.id}`,
+                details: note ? { note } : undefined,
+                before: { status: previousStatus },
+                after: { status: request.status },
+            });
+
+            emitRequestEvent('request.status_changed', request, { request, previousStatus });
+
+            res.status(200).json({ message: 'Status updated successfully!', request });
+        } catch (error) {
+            if (error instanceof RequestStatusError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Cancel Request Route: customers may withdraw their own requests while still Pending
+    router.post('/api/requests/:id/cancel', authorize('POST /api/requests/:id/cancel'), validate('POST /api/requests/:id/cancel'), async (req, res, next) => {
+        const { note } = req.body;
+
+        const check = (request) => {
+            if (request.username !== req.user.username) {
+                throw new RequestStatusError(403, 'Forbidden: You can only cancel your own requests.');
+            }
+            if (request.status !== 'Pending') {
+                throw new RequestStatusError(409, `Only Pending requests can be cancelled; this one is ${request.status}`);
+            }
+        };
+
+        try {
+            const { request, previousStatus } = await changeRequestStatus(db, { requestId: req.params.id, status: 'Cancelled', actor: req.user, note, check, clock });
+
+            emitRequestEvent('request.status_changed', request, { request, previousStatus });
+
+            res.status(200).json({ message: 'Request cancelled successfully!', request });
+        } catch (error) {
+            if (error instanceof RequestStatusError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Request Events Stream (Server-Sent Events): the signed-in customer's own request.created and
+    // request.status_changed events. Reconnect with Last-Event-ID to get the ones missed.
+    router.get('/api/events', acceptQueryToken, authorize('GET /api/events'), validate('GET /api/events'), (req, res) => {
+        openEventStream(req, res, { db, hub: eventHub, username: req.user.username });
+    });
+
+    // Request History Route: every status change, oldest first
+    router.get('/api/requests/:id/history', authorize('GET /api/requests/:id/history'), validate('GET /api/requests/:id/history'), async (req, res, next) => {
+        try {
+            const requestResult = await db.query('SELECT username FROM requests WHERE id = $1', [req.params.id]);
+            const request = requestResult.rows[0];
+
+            // Someone else's request looks the same as a missing one
+            if (!request || (request.username !== req.user.username && !hasPermission(req.user.role, 'requests:read:any'))) {
+                return res.status(404).json({ error: 'Request not found' });
+            }
+
+            const query = `
+                SELECT id, from_status, to_status, actor, note, created_at
+                FROM request_status_history WHERE request_id = $1 ORDER BY id;
+            `;
+            const result = await db.query(query, [req.params.id]);
+
+            res.status(200).json(result.rows);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    //get user request page
+    router.get('/api/requests/:username', authorize('GET /api/requests/:username'), validate('GET /api/requests/:username'), async (req, res, next) => {
+        const { username } = req.params;
+
+        if (username !== req.user.username && !hasPermission(req.user.role, 'requests:read:any')) {
+            return res.status(403).json({ error: 'Forbidden: You can only view your own requests.' });
+        }
+
+        try {
+            const query = 'SELECT * FROM requests WHERE username = $1 ORDER BY id';
+            const result = await db.query(query, [username]);
+
+            res.status(200).json(await attachItems(db, result.rows));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createRequestRoutes };
@@ -0,0 +1,407 @@
+const express = require('express');
+const multer = require('multer');
+const { authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const {
+    CatalogQueryError,
+    SERVICE_FIELDS,
+    GENERATED_SKU_PREFIX,
+    generatedSku,
+    isGeneratedSku,
+    listServices,
+    findService,
+    updateService,
+} = require('../lib/catalog');
+const {
+    TRANSFER_COLUMNS,
+    CatalogImportError,
+    readImportRows,
+    importServices,
+    exportServices,
+} = require('../lib/catalogImport');
+const { listCategories, resolveServiceCategory, descendantIds } = require('../lib/categories');
+const { StockError, adjustStock } = require('../lib/stock');
+const {
+    sniffImageType,
+    attachServiceImage,
+    deleteServiceMedia,
+    findMedia,
+} = require('../lib/media');
+const { toCsv } = require('../lib/csv');
+
+const UNKNOWN_CATEGORY = 'Unknown category. Send the categoryId of an existing category (see /api/categories).';
+const MISSING_CATEGORY = 'Send the categoryId, or the category by slug or name';
+const RESERVED_SKU = `Skus starting with ${GENERATED_SKU_PREFIX} are reserved for services added without a sku`;
+
+// Multipart parser for a single "image" file of at most maxBytes, held in memory until it
+// has been checked
+const imageReceiver = (maxBytes) => {
+    const uploadImage = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 },
+    }).single('image');
+
+    return (req, res, next) => uploadImage(req, res, (error) => {
+        if (error?.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Image must be at most ${maxBytes} bytes` });
+        }
+        if (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        next();
+    });
+};
+
+// The service catalog: services, their stock and images, import and export
+const createServiceRoutes = ({ db, config, clock, mediaStorage, auditAction, emitEvent }) => {
+    const router = express.Router();
+    const receiveImage = imageReceiver(config.media.maxBytes);
+
+    // Add Service Route: the category is given as categoryId, or by slug or name in category.
+    // Services added without a sku get SVC-<id>. Retries may send an Idempotency-Key.
+    router.post('/api/services', authorize('POST /api/services'), validate('POST /api/services'), idempotency(), async (req, res, next) => {
+        const { categoryId, category: categoryRef, sku = null, name, price, imageUrl, description } = req.body;
+
+        if (!categoryId && !categoryRef) {
+            return res.status(400).json({ error: MISSING_CATEGORY });
+        }
+        if (sku !== null && isGeneratedSku(sku)) {
+            return res.status(400).json({ error: RESERVED_SKU });
+        }
+
+        try {
+            const category = await resolveServiceCategory(db, { categoryId, category: categoryRef });
+            if (!category) {
+                return res.status(400).json({ error: UNKNOWN_CATEGORY });
+            }
+
+            const now = clock.now().toISOString();
+            const query = `
+                INSERT INTO services (sku, category_id, category, name, price, imageUrl, description, created_at, updated_at) 
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+                RETURNING *;
+            `;
+            const values = [sku, category.id, category.name, name, price, imageUrl, description, now];
+            const service = await db.transaction(async (tx) => {
+                const result = await tx.query(query, values);
+                if (sku !== null) {
+                    return result.rows[0];
+                }
+                const { id } = result.rows[0];
+                const numbered = await tx.query('UPDATE services SET sku = $1 WHERE id = $2 RETURNING *', [generatedSku(id), id]);
+                return numbered.rows[0];
+            });
+
+            await auditAction(req, 'service.created', { target: `service:${service.id}`, after: service });
+            emitEvent('service.created', service);
+            res.status(201).json({ message: 'Service added successfully!', service });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // List Services Route: filter with category (slug or name, subcategories included), minPrice,
+    // maxPrice and q (searches name and description), order with sort (id, name or price; -price
+    // for descending) and page with limit and cursor. The next page's cursor comes back in the
+    // X-Next-Cursor header.
+    router.get('/api/services', authorize('GET /api/services'), validate('GET /api/services'), async (req, res, next) => {
+        try {
+            let categoryIds;
+            if (req.query.category) {
+                const category = await resolveServiceCategory(db, { category: String(req.query.category) });
+                categoryIds = category ? descendantIds(await listCategories(db, { includeInactive: true }), category.id) : [];
+            }
+
+            const { services, nextCursor } = await listServices(db, req.query, { categoryIds });
+
+            if (nextCursor) {
+                res.set('X-Next-Cursor', nextCursor);
+            }
+            res.status(200).json(services);
+        } catch (error) {
+            if (error instanceof CatalogQueryError) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Export Services Route: every live service as CSV (?format=csv or Accept: text/csv) or JSON,
+    // in the format the import route takes
+    router.get('/api/services/export', authorize('GET /api/services/export'), validate('GET /api/services/export'), async (req, res, next) => {
+        const format = req.query.format ?? (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+
+        try {
+            const services = await exportServices(db);
+
+            if (format === 'csv') {
+                res.attachment(`services-${clock.now().toISOString().slice(0, 10)}.csv`);
+                return res.type('text/csv').send(toCsv(TRANSFER_COLUMNS, services));
+            }
+            res.status(200).json(services);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Import Services Route: CSV (Content-Type: text/csv) or JSON rows of sku, name, category
+    // (slug or name), price, description and imageUrl, matched to existing services by sku.
+    // Only a dry run unless ?dryRun=false, and nothing is written if any row has errors.
+    router.post('/api/services/import', authorize('POST /api/services/import'), validate('POST /api/services/import'), async (req, res, next) => {
+        const dryRun = req.query.dryRun !== 'false';
+
+        try {
+            const rows = readImportRows(req.body, { csv: Boolean(req.is('text/csv')) });
+            const { result, services } = await importServices(db, rows, { dryRun, clock });
+
+            if (result.errors.length > 0) {
+                return res.status(422).json({ error: `${result.summary.invalid} of ${rows.length} rows have errors`, ...result });
+            }
+
+            if (result.applied) {
+                await auditAction(req, 'service.imported', { details: result.summary });
+                services.forEach(({ action, service }) => emitEvent(action === 'create' ? 'service.created' : 'service.updated', service));
+            }
+            res.status(200).json(result);
+        } catch (error) {
+            if (error instanceof CatalogImportError) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Get Service Route
+    router.get('/api/services/:id', authorize('GET /api/services/:id'), validate('GET /api/services/:id'), async (req, res, next) => {
+        try {
+            const service = await findService(db, req.params.id);
+
+            if (!service) {
+                return res.status(404).json({ error: 'Service not found' });
+            }
+
+            res.status(200).json(service);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Replace Service Route: fields left out are cleared
+    router.put('/api/services/:id', authorize('PUT /api/services/:id'), validate('PUT /api/services/:id'), async (req, res, next) => {
+        const { categoryId, category: categoryRef, name, price = null, imageUrl = null, description = null } = req.body;
+
+        if (!categoryId && !categoryRef) {
+            return res.status(400).json({ error: MISSING_CATEGORY });
+        }
+
+        try {
+            const category = await resolveServiceCategory(db, { categoryId, category: categoryRef });
+            if (!category) {
+                return res.status(400).json({ error: UNKNOWN_CATEGORY });
+            }
+
+            const before = await findService(db, req.params.id);
+            const service = await updateService(db, req.params.id, {
+                category_id: category.id,
+                category: category.name,
+                name,
+                price,
+                imageUrl,
+                description,
+            }, clock);
+
+            if (!service) {
+                return res.status(404).json({ error: 'Service not found' });
+            }
+
+            await auditAction(req, 'service.replaced', { target: `service:${service.id}`, before, after: service });
+            emitEvent('service.updated', service);
+            res.status(200).json({ message: 'Service updated successfully!', service });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Update Service Route: only the fields sent are changed
+    router.patch('/api/services/:id', authorize('PATCH /api/services/:id'), validate('PATCH /api/services/:id'), async (req, res, next) => {
+        const fields = Object.fromEntries(SERVICE_FIELDS
+            .filter((field) => req.body[field] !== undefined)
+            .map((field) => [field, req.body[field]]));
+
+        const { categoryId, category: categoryRef, lowStockThreshold } = req.body;
+        const changesCategory = categoryId !== undefined || categoryRef !== undefined;
+
+        if (lowStockThreshold !== undefined) {
+            fields.low_stock_threshold = lowStockThreshold;
+        }
+
+        if (Object.keys(fields).length === 0 && !changesCategory) {
+            return res.status(400).json({ error: `Nothing to update. Send any of: categoryId, lowStockThreshold, ${SERVICE_FIELDS.join(', ')}` });
+        }
+        // A service may keep (or get back) the sku it was numbered with, and no other generated one
+        if (fields.sku !== undefined && isGeneratedSku(fields.sku) && fields.sku !== generatedSku(req.params.id)) {
+            return res.status(400).json({ error: RESERVED_SKU });
+        }
+
+        try {
+            if (changesCategory) {
+                const category = await resolveServiceCategory(db, { categoryId, category: categoryRef });
+                if (!category) {
+                    return res.status(400).json({ error: UNKNOWN_CATEGORY });
+                }
+                fields.category_id = category.id;
+                fields.category = category.name;
+            }
+
+            const before = await findService(db, req.params.id);
+            const service = await updateService(db, req.params.id, fields, clock);
+
+            if (!service) {
+                return res.status(404).json({ error: 'Service not found' });
+            }
+
+            await auditAction(req, 'service.updated', { target: `service:${service.id}`, before, after: service });
+            emitEvent('service.updated', service);
+            res.status(200).json({ message: 'Service updated successfully!', service });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Delete Service Route: soft delete, so past requests can still refer to it
+    router.delete('/api/services/:id', authorize('DELETE /api/services/:id'), validate('DELETE /api/services/:id'), async (req, res, next) => {
+        try {
+            const query = `
+                UPDATE services SET deleted_at = $1, updated_at = $1
+                WHERE id = $2 AND deleted_at IS NULL
+                RETURNING *;
+            `;
+            const result = await db.query(query, [clock.now().toISOString(), req.params.id]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Service not found' });
+            }
+
+            // Nobody can see a deleted service's images any more, so drop them
+            await deleteServiceMedia(db, mediaStorage, req.params.id);
+
+            const { deleted_at, updated_at, ...before } = result.rows[0];
+            await auditAction(req, 'service.deleted', { target: `service:${before.id}`, before });
+            emitEvent('service.deleted', { id: result.rows[0].id });
+            res.status(200).json({ message: 'Service deleted successfully!' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Stock Adjustment Route: { adjustment: +10 or -3, reason } for deliveries, breakage, counts...
+    // The first adjustment starts stock tracking for the service.
+    router.post('/api/services/:id/stock-adjustments', authorize('POST /api/services/:id/stock-adjustments'), validate('POST /api/services/:id/stock-adjustments'), async (req, res, next) => {
+        const { adjustment, reason } = req.body;
+
+        if (adjustment === 0) {
+            return res.status(400).json({ error: 'adjustment cannot be 0' });
+        }
+        if (!reason.trim()) {
+            return res.status(400).json({ error: 'A reason is required' });
+        }
+
+        try {
+            const before = await findService(db, req.params.id);
+            const service = await adjustStock(db, { serviceId: req.params.id, adjustment, reason: reason.trim(), actor: req.user, clock });
+
+            if (!service) {
+                return res.status(404).json({ error: 'Service not found' });
+            }
+
+            await auditAction(req, 'stock.adjusted', {
+                target: `service:${service.id}`,
+                details: { adjustment, reason: reason.trim() },
+                before: { stock_on_hand: before.stock_on_hand, stock_reserved: before.stock_reserved },
+                after: { stock_on_hand: service.stock_on_hand, stock_reserved: service.stock_reserved },
+            });
+
+            res.status(200).json({ message: 'Stock adjusted successfully!', service });
+        } catch (error) {
+            if (error instanceof StockError) {
+                return res.status(409).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+    // Upload Service Image Route: multipart/form-data with the file in the "image" field.
+    // Replaces the service's previous image and sets imageUrl to where the new one is served.
+    router.post('/api/services/:id/image', authorize('POST /api/services/:id/image'), validate('POST /api/services/:id/image'), receiveImage, async (req, res, next) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Send the image as multipart/form-data in the "image" field' });
+        }
+
+        const imageType = sniffImageType(req.file.buffer);
+        if (!imageType) {
+            return res.status(415).json({ error: 'Image must be a JPEG, PNG, GIF or WebP file' });
+        }
+
+        try {
+            const existing = await db.query('SELECT id, imageUrl FROM services WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ error: 'Service not found' });
+            }
+
+            const service = await attachServiceImage(db, mediaStorage, existing.rows[0].id, req.file.buffer, imageType, clock);
+            await auditAction(req, 'service.image_uploaded', {
+                target: `service:${service.id}`,
+                details: { contentType: imageType.contentType, sizeBytes: req.file.size },
+                before: { imageurl: existing.rows[0].imageurl },
+                after: { imageurl: service.imageurl },
+            });
+
+            res.status(201).json({ message: 'Image uploaded successfully!', service });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Serve Media Route: files never change under an id, so clients may cache them for good.
+    // They were uploaded by users, so browsers must not guess a type other than the checked one.
+    router.get('/api/media/:id', authorize('GET /api/media/:id'), validate('GET /api/media/:id'), async (req, res, next) => {
+        try {
+            const media = await findMedia(db, req.params.id);
+
+            if (!media) {
+                return res.status(404).json({ error: 'Media not found' });
+            }
+
+            const etag = `"${media.checksum}"`;
+            res.set({
+                'Cache-Control': 'public, max-age=31536000, immutable',
+                'X-Content-Type-Options': 'nosniff',
+                ETag: etag,
+            });
+
+            if (req.headers['if-none-match'] === etag) {
+                return res.status(304).end();
+            }
+
+            res.set({ 'Content-Type': media.content_type, 'Content-Length': String(media.size_bytes) });
+            mediaStorage.createReadStream(media.storage_key)
+                .on('error', (error) => {
+                    req.log.error('Error reading media file', { mediaId: media.id, error });
+                    if (!res.headersSent) {
+                        res.status(500).json({ error: 'Internal server error' });
+                    } else {
+                        res.destroy();
+                    }
+                })
+                .pipe(res);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createServiceRoutes };
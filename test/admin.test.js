@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('admin routes', () => {
+    let api;
+    let adminToken;
+
+    before(async () => {
+        api = await startTestServer();
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('frank', 'frank-password');
+        adminToken = await api.login('admin', 'admin-password');
+    });
+
+    after(() => api.close());
+
+    it('keeps customers out', async () => {
+        const customerToken = await api.login('frank', 'frank-password');
+        const response = await api.request('GET', '/api/admin/users', { token: customerToken });
+
+        assert.equal(response.status, 403);
+    });
+
+    it('changes a role and signs the account out everywhere', async () => {
+        const customerToken = await api.login('frank', 'frank-password');
+        const users = await api.request('GET', '/api/admin/users', { token: adminToken });
+        const frank = users.body.find((user) => user.username === 'frank');
+
+        const response = await api.request('PATCH', `/api/admin/users/${frank.id}/role`, { token: adminToken, body: { role: 'staff' } });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.user.role, 'staff');
+
+        const oldToken = await api.request('GET', '/api/requests', { token: customerToken });
+        assert.equal(oldToken.status, 401);
+    });
+
+    it('holds new admins to the password policy', async () => {
+        const response = await api.request('POST', '/api/admin/add', { token: adminToken, body: { username: 'weak', password: 'a' } });
+
+        assert.equal(response.status, 400);
+        const users = await api.request('GET', '/api/admin/users', { token: adminToken });
+        assert.ok(!users.body.some((user) => user.username === 'weak'));
+    });
+
+    it('records admin actions in an intact audit trail', async () => {
+        await api.request('POST', '/api/admin/add', { token: adminToken, body: { username: 'grace', password: 'grace-password' } });
+
+        const trail = await api.request('GET', '/api/admin/audit?action=admin.*', { token: adminToken });
+        assert.equal(trail.status, 200);
+        assert.equal(trail.body[0].action, 'admin.created');
+        assert.equal(trail.body[0].actor, 'admin');
+
+        const check = await api.request('GET', '/api/admin/audit/verify', { token: adminToken });
+        assert.equal(check.body.ok, true);
+    });
+
+    it('runs reports over the requested days', async () => {
+        const response = await api.request('GET', '/api/admin/reports/volume?from=2026-01-01&to=2026-01-07', { token: adminToken });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.report, 'volume');
+        assert.equal(response.body.from, '2026-01-01');
+        assert.equal(response.body.to, '2026-01-07');
+    });
+
+    it('answers an unknown report with 404', async () => {
+        for (const name of ['nonsense', 'constructor', 'toString', 'hasOwnProperty']) {
+            const response = await api.request('GET', `/api/admin/reports/${name}`, { token: adminToken });
+
+            assert.equal(response.status, 404, name);
+        }
+    });
+});
+
+describe('reports', () => {
+    const clock = { time: new Date('2024-05-01T10:00:00.000Z'), now: () => clock.time };
+    const later = (hours) => {
+        clock.time = new Date(clock.time.getTime() + hours * 60 * 60 * 1000);
+    };
+    let api;
+    let adminToken;
+
+    const report = async (name) => {
+        const response = await api.request('GET', `/api/admin/reports/${name}?from=2024-05-01&to=2024-05-02`, { token: adminToken });
+        assert.equal(response.status, 200);
+        return response.body.rows;
+    };
+
+    before(async () => {
+        api = await startTestServer({ clock });
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('sam', 'staff-password', 'staff');
+        await api.createUser('dana', 'dana-password');
+        adminToken = await api.login('admin', 'admin-password');
+        const staffToken = await api.login('sam', 'staff-password');
+        const customerToken = await api.login('dana', 'dana-password');
+
+        await api.request('POST', '/api/categories', { token: adminToken, body: { name: 'Cleaning' } });
+        const service = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'cleaning', name: 'Carpet cleaner', price: 15 },
+        });
+        const { body } = await api.request('POST', '/api/requests', {
+            token: customerToken,
+            body: { items: [{ serviceId: service.body.service.id, quantity: 2 }] },
+        });
+
+        later(2);
+        await api.request('PATCH', `/api/requests/${body.request.id}`, { token: staffToken, body: { status: 'Approved' } });
+        later(4);
+        await api.request('PATCH', `/api/requests/${body.request.id}`, { token: staffToken, body: { status: 'Dispatched' } });
+    });
+
+    after(() => api.close());
+
+    it('counts the request on the day the clock filed it', async () => {
+        assert.deepEqual(await report('volume'), [
+            { period: '2024-05-01', requests: 1, quantity: 2, total_value: 30 },
+            { period: '2024-05-02', requests: 0, quantity: 0, total_value: 0 },
+        ]);
+    });
+
+    it('follows the request through the funnel', async () => {
+        const rows = await report('status-funnel');
+
+        assert.deepEqual(rows.map(({ status, reached, current }) => [status, reached, current]), [
+            ['Pending', 1, 0],
+            ['Approved', 1, 0],
+            ['Dispatched', 1, 1],
+            ['Delivered', 0, 0],
+        ]);
+    });
+
+    it('measures filing to dispatch in hours', async () => {
+        const [row] = await report('time-to-dispatch');
+
+        assert.equal(row.dispatched_requests, 1);
+        assert.equal(row.average_hours, 6);
+        assert.equal(row.median_hours, 6);
+    });
+
+    it('dates the first request of each customer in UTC', async () => {
+        const [row] = await report('customers');
+
+        assert.equal(row.username, 'dana');
+        assert.equal(row.first_request, '2024-05-01T10:00:00.000Z');
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { compareWithApp } = require('../lib/openapi');
+
+describe('app', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer();
+    });
+
+    after(() => api.close());
+
+    it('serves an OpenAPI document that covers every registered route', async () => {
+        const response = await api.request('GET', '/api/openapi.json');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.openapi, '3.1.0');
+
+        assert.deepEqual(compareWithApp(api.app, response.body), { undocumented: [], unregistered: [] });
+    });
+
+    it('answers unknown API paths with a problem document', async () => {
+        const response = await api.request('GET', '/api/nowhere');
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.detail, 'No route for GET /api/nowhere');
+        assert.equal(response.body.instance, '/api/nowhere');
+    });
+
+    it('turns malformed JSON into a 400', async () => {
+        const raw = await fetch(`${api.baseUrl}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"username":',
+        });
+        assert.equal(raw.status, 400);
+        assert.equal((await raw.json()).detail, 'Request body is not valid JSON');
+    });
+
+    it('ends open event streams on shutdown and refuses new ones', async () => {
+        await api.createUser('hana', 'hana-password');
+        const token = await api.login('hana', 'hana-password');
+
+        const stream = await fetch(`${api.baseUrl}/api/events`, { headers: { Authorization: `Bearer ${token}` } });
+        assert.equal(stream.status, 200);
+        const reader = stream.body.getReader();
+        await reader.read(); // retry: line
+
+        api.app.locals.eventHub.close();
+
+        let chunk;
+        do {
+            chunk = await reader.read();
+        } while (!chunk.done);
+
+        const late = await api.request('GET', '/api/events', { token });
+        assert.equal(late.status, 503);
+    });
+});
@@ -0,0 +1,187 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { generateTotp } = require('../lib/totp');
+
+describe('auth routes', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer();
+    });
+
+    after(() => api.close());
+
+    it('registers customers whatever role they ask for', async () => {
+        const response = await api.request('POST', '/api/auth/register', {
+            body: { username: 'alice', password: 'correct-horse', role: 'admin' },
+        });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.user.username, 'alice');
+        assert.equal(response.body.user.role, 'customer');
+    });
+
+    it('holds new accounts to the password policy', async () => {
+        const response = await api.request('POST', '/api/auth/register', {
+            body: { username: 'weak', password: 'a' },
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.detail, 'Password must be at least 8 characters');
+    });
+
+    it('refuses a second account with the same username as a conflict', async () => {
+        const response = await api.request('POST', '/api/auth/register', {
+            body: { username: 'alice', password: 'another-password' },
+        });
+
+        assert.equal(response.status, 409);
+        assert.equal(response.headers.get('content-type'), 'application/problem+json; charset=utf-8');
+        assert.equal(response.body.detail, 'username already exists');
+    });
+
+    it('answers a wrong password with 401', async () => {
+        const response = await api.request('POST', '/api/auth/login', {
+            body: { username: 'alice', password: 'wrong-password' },
+        });
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error, 'Invalid username or password');
+    });
+
+    it('lists each missing field when the body does not fit the schema', async () => {
+        const response = await api.request('POST', '/api/auth/login', { body: {} });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors.map((error) => error.field).sort(), ['password', 'username']);
+    });
+
+    it('signs in, refreshes the token pair and signs out', async () => {
+        const login = await api.request('POST', '/api/auth/login', {
+            body: { username: 'alice', password: 'correct-horse' },
+        });
+        assert.equal(login.status, 200);
+        assert.equal(login.body.role, 'customer');
+
+        const refresh = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } });
+        assert.equal(refresh.status, 200);
+        assert.notEqual(refresh.body.refreshToken, login.body.refreshToken);
+
+        const logout = await api.request('POST', '/api/auth/logout', { token: refresh.body.token });
+        assert.equal(logout.status, 200);
+
+        const afterLogout = await api.request('GET', '/api/requests', { token: refresh.body.token });
+        assert.equal(afterLogout.status, 401);
+    });
+
+    it('revokes the session when a spent refresh token comes back', async () => {
+        const login = await api.request('POST', '/api/auth/login', {
+            body: { username: 'alice', password: 'correct-horse' },
+        });
+        const refresh = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } });
+
+        const reused = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } });
+        assert.equal(reused.status, 401);
+
+        const withNewToken = await api.request('GET', '/api/requests', { token: refresh.body.token });
+        assert.equal(withNewToken.status, 401);
+    });
+
+    it('resets a forgotten password with the code sent through the notifier', async () => {
+        const forgot = await api.request('POST', '/api/auth/forgot-password', { body: { username: 'alice' } });
+        assert.equal(forgot.status, 200);
+
+        const message = api.outbox.find((sent) => sent.to === 'alice');
+        assert.ok(message, 'no reset message was sent');
+        const [, token] = /reset your password: (\S+)/.exec(message.text);
+
+        const reset = await api.request('POST', '/api/auth/reset-password', { body: { token, newPassword: 'battery-staple' } });
+        assert.equal(reset.status, 200);
+
+        const oldPassword = await api.request('POST', '/api/auth/login', { body: { username: 'alice', password: 'correct-horse' } });
+        assert.equal(oldPassword.status, 401);
+        await api.login('alice', 'battery-staple');
+    });
+
+    it('answers the same for unknown usernames without sending anything', async () => {
+        const sentBefore = api.outbox.length;
+        const response = await api.request('POST', '/api/auth/forgot-password', { body: { username: 'nobody' } });
+
+        assert.equal(response.status, 200);
+        assert.equal(api.outbox.length, sentBefore);
+    });
+});
+
+describe('two-factor sign-in', () => {
+    let api;
+    let secret;
+    let recoveryCodes;
+
+    // The password step, which hands back a challenge instead of tokens
+    const startLogin = async () => {
+        const response = await api.request('POST', '/api/auth/login', { body: { username: 'root', password: 'root-password' } });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.twoFactorRequired, true);
+        assert.equal(response.body.token, undefined);
+        return response.body.challengeToken;
+    };
+
+    before(async () => {
+        api = await startTestServer();
+        await api.createUser('root', 'root-password', 'admin');
+    });
+
+    after(() => api.close());
+
+    it('enrols with a first code and hands out recovery codes', async () => {
+        const token = await api.login('root', 'root-password');
+
+        const setup = await api.request('POST', '/api/admin/2fa/setup', { token });
+        assert.equal(setup.status, 200);
+        assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\//);
+        ({ secret } = setup.body);
+
+        // Ten minutes out is far outside the one-step window
+        const wrong = await api.request('POST', '/api/admin/2fa/enable', { token, body: { code: generateTotp(secret, Date.now() + 600000) } });
+        assert.equal(wrong.status, 400);
+
+        const enabled = await api.request('POST', '/api/admin/2fa/enable', { token, body: { code: generateTotp(secret) } });
+        assert.equal(enabled.status, 200);
+        assert.equal(enabled.body.recoveryCodes.length, 10);
+        ({ recoveryCodes } = enabled.body);
+
+        const trail = await api.request('GET', '/api/admin/audit?action=auth.*', { token });
+        assert.deepEqual(trail.body.map((entry) => entry.action), ['auth.2fa_enabled', 'auth.2fa_setup_started']);
+    });
+
+    it('asks for a code after the password, and takes each code once', async () => {
+        // The enrolment code's step is spent; the next step's code is still inside the window
+        const code = generateTotp(secret, Date.now() + 30000);
+
+        const signedIn = await api.request('POST', '/api/auth/login/2fa', { body: { challengeToken: await startLogin(), code } });
+        assert.equal(signedIn.status, 200);
+        assert.ok(signedIn.body.token);
+        assert.ok(signedIn.body.refreshToken);
+
+        const replayed = await api.request('POST', '/api/auth/login/2fa', { body: { challengeToken: await startLogin(), code } });
+        assert.equal(replayed.status, 401);
+    });
+
+    it('refuses a challenge that was not issued by the password step', async () => {
+        const response = await api.request('POST', '/api/auth/login/2fa', { body: { challengeToken: 'not-a-token', code: '123456' } });
+
+        assert.equal(response.status, 401);
+    });
+
+    it('accepts a recovery code only once', async () => {
+        const [recoveryCode] = recoveryCodes;
+
+        const first = await api.request('POST', '/api/auth/login/2fa', { body: { challengeToken: await startLogin(), recoveryCode } });
+        assert.equal(first.status, 200);
+        assert.ok(first.body.token);
+
+        const second = await api.request('POST', '/api/auth/login/2fa', { body: { challengeToken: await startLogin(), recoveryCode } });
+        assert.equal(second.status, 401);
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { ConfigError, loadConfig, summarizeConfig } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+
+const PRODUCTION = {
+    NODE_ENV: 'production',
+    DB_CLIENT: 'postgres',
+    PG_PASSWORD: 'db-password',
+    JWT_SECRET: 'a-production-secret-of-at-least-32-chars',
+    CORS_ORIGINS: 'https://shop.example.com, https://admin.example.com',
+    ADMIN_PASSWORD: 'a-real-admin-password',
+    METRICS_TOKEN: 'scrape-me',
+};
+
+// The problems a ConfigError lists for env
+const problemsWith = (env) => {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error.problems;
+    }
+    assert.fail('Expected the configuration to be refused');
+};
+
+describe('configuration', () => {
+    it('loads a complete production configuration', () => {
+        const config = loadConfig(PRODUCTION);
+
+        assert.equal(config.profile, 'production');
+        assert.deepEqual(config.cors.origins, ['https://shop.example.com', 'https://admin.example.com']);
+        assert.equal(config.auth.accessTokenTtlSeconds, 900);
+        assert.equal(config.database.port, 5432);
+        assert.ok(Object.isFrozen(config.auth));
+    });
+
+    it('refuses insecure defaults in production, listing every problem', () => {
+        const problems = problemsWith({ NODE_ENV: 'production' });
+
+        assert.equal(problems.length, 3);
+        assert.match(problems.join('\n'), /JWT_SECRET is required/);
+        assert.match(problems.join('\n'), /CORS_ORIGINS is required/);
+        assert.match(problems.join('\n'), /ADMIN_PASSWORD must be set/);
+    });
+
+    it('refuses a short JWT secret, the default admin password and open CORS in production', () => {
+        const problems = problemsWith({
+            ...PRODUCTION,
+            JWT_SECRET: 'secret',
+            ADMIN_PASSWORD: 'default_password',
+            CORS_ORIGINS: '*',
+        });
+
+        assert.equal(problems.length, 3);
+        assert.match(problems[0], /at least 32 characters/);
+    });
+
+    it('checks the types and ranges of settings', () => {
+        const problems = problemsWith({
+            ...PRODUCTION,
+            PG_PORT: 'five',
+            ACCESS_TOKEN_TTL: '30s',
+            LOGIN_MAX_FAILURES: '0',
+            CORS_ORIGINS: 'shop.example.com',
+            LOG_LEVEL: 'loud',
+        });
+
+        assert.equal(problems.length, 5);
+    });
+
+    it('checks the library tunables', () => {
+        const config = loadConfig({ NODE_ENV: 'test', WEBHOOK_MAX_ATTEMPTS: '3', LOW_STOCK_THRESHOLD: '10' });
+        assert.equal(config.webhooks.maxAttempts, 3);
+        assert.equal(config.stock.lowStockThreshold, 10);
+        assert.equal(config.idempotency.keyTtlHours, 24);
+
+        const problems = problemsWith({ NODE_ENV: 'test', WEBHOOK_MAX_ATTEMPTS: '0', MEDIA_MAX_BYTES: '5MB' });
+        assert.match(problems.join('\n'), /WEBHOOK_MAX_ATTEMPTS must be a whole number from 1 to 50/);
+        assert.match(problems.join('\n'), /MEDIA_MAX_BYTES must be a whole number/);
+    });
+
+    it('fills in development defaults with warnings', () => {
+        const config = loadConfig({});
+
+        assert.equal(config.profile, 'development');
+        assert.equal(config.cors.origins, '*');
+        assert.equal(config.admin.password, 'default_password');
+        assert.ok(config.auth.jwtSecret.length >= 32);
+        assert.equal(config.warnings.length, 2);
+    });
+
+    it('redacts secrets from the summary', () => {
+        const summary = JSON.stringify(summarizeConfig(loadConfig(PRODUCTION)));
+
+        for (const secret of ['db-password', PRODUCTION.JWT_SECRET, PRODUCTION.ADMIN_PASSWORD, PRODUCTION.METRICS_TOKEN]) {
+            assert.ok(!summary.includes(secret), `summary shows ${secret}`);
+        }
+        assert.match(summary, /"accessTokenTtlSeconds":900/);
+        assert.match(summary, /"metrics":\{"tokenSet":true\}/);
+        assert.match(summary, /"passwordSet":true/);
+    });
+
+    it('says when the metrics token is missing, through the log redaction too', () => {
+        const lines = [];
+        const logger = createLogger({ stream: { write: (line) => lines.push(JSON.parse(line)) } });
+        const { METRICS_TOKEN, ...env } = PRODUCTION;
+
+        logger.info('Configuration loaded', summarizeConfig(loadConfig(env)));
+
+        assert.deepEqual(lines[0].metrics, { tokenSet: false });
+    });
+});
+
+describe('CORS allow-list', () => {
+    let api;
+
+    after(() => api.close());
+
+    it('only answers the configured origins', async () => {
+        api = await startTestServer({ env: { CORS_ORIGINS: 'https://shop.example.com' } });
+
+        const allowed = await api.request('GET', '/api/services', { headers: { Origin: 'https://shop.example.com' } });
+        const other = await api.request('GET', '/api/services', { headers: { Origin: 'https://evil.example.com' } });
+
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://shop.example.com');
+        assert.equal(other.headers.get('access-control-allow-origin'), null);
+    });
+});
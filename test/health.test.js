@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { createLogger } = require('../lib/logger');
+
+describe('probes and metrics', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer();
+    });
+
+    after(() => api.close());
+
+    it('answers the liveness probe', async () => {
+        const response = await api.request('GET', '/healthz');
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body, { status: 'ok' });
+    });
+
+    it('is ready once the database answers and is fully migrated', async () => {
+        const response = await api.request('GET', '/readyz');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.checks.database.status, 'ok');
+        assert.equal(response.body.checks.migrations.status, 'ok');
+    });
+
+    it('stops being ready when shutdown starts', async () => {
+        api.app.locals.shuttingDown = true;
+        try {
+            const response = await api.request('GET', '/readyz');
+            assert.equal(response.status, 503);
+            assert.equal(response.body.status, 'shutting down');
+        } finally {
+            api.app.locals.shuttingDown = false;
+        }
+    });
+
+    it('counts and times requests by route template', async () => {
+        await api.request('GET', '/api/services/41');
+        await api.request('GET', '/api/services/42');
+
+        const response = await api.request('GET', '/metrics');
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(response.body, /^http_requests_total\{method="GET",route="\/api\/services\/:id",status="404"\} 2$/m);
+        assert.match(response.body, /^http_request_duration_seconds_count\{method="GET",route="\/api\/services\/:id"\} 2$/m);
+        assert.match(response.body, /^db_pool_connections\{dialect="sqlite",state="total"\} 1$/m);
+    });
+});
+
+describe('metrics token', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ env: { METRICS_TOKEN: 'scrape-me' } });
+    });
+
+    after(() => api.close());
+
+    it('is required when configured', async () => {
+        const anonymous = await api.request('GET', '/metrics');
+        assert.equal(anonymous.status, 401);
+        assert.match(anonymous.headers.get('content-type'), /^application\/problem\+json/);
+        assert.equal(anonymous.body.title, 'Unauthorized');
+
+        const scraper = await api.request('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-me' } });
+        assert.equal(scraper.status, 200);
+    });
+});
+
+describe('request logs', () => {
+    let api;
+    const lines = [];
+
+    before(async () => {
+        const logger = createLogger({ level: 'debug', stream: { write: (line) => lines.push(JSON.parse(line)) } });
+        api = await startTestServer({ logger });
+    });
+
+    after(() => api.close());
+
+    it('carry the request id and never the password', async () => {
+        const response = await api.request('POST', '/api/auth/register', {
+            headers: { 'X-Request-Id': 'trace-123' },
+            body: { username: 'ivy', password: 'ivy-secret-password' },
+        });
+        assert.equal(response.status, 201);
+
+        const completed = lines.find((line) => line.msg === 'Request completed' && line.requestId === 'trace-123');
+        assert.equal(completed.route, '/api/auth/register');
+        assert.equal(completed.status, 201);
+        assert.equal(typeof completed.durationMs, 'number');
+
+        assert.doesNotMatch(JSON.stringify(lines), /ivy-secret-password/);
+    });
+
+    it('redact credentials in bodies and query strings', async () => {
+        await api.createUser('jay', 'jay-password');
+        const token = await api.login('jay', 'jay-password');
+        await api.request('POST', '/api/requests', {
+            token,
+            headers: { 'X-Request-Id': 'trace-456' },
+            body: { items: [{ serviceId: 1, quantity: 1 }], password: 'should-not-appear' },
+        });
+        await api.request('GET', `/api/nowhere?access_token=${token}`);
+
+        const received = lines.find((line) => line.msg === 'Request received' && line.requestId === 'trace-456');
+        assert.equal(received.body.password, '[REDACTED]');
+        assert.doesNotMatch(JSON.stringify(lines), new RegExp(token));
+    });
+});
@@ -0,0 +1,95 @@
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const bcrypt = require('bcryptjs');
+
+const { loadConfig } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+const { createDatabase } = require('../db');
+const { createMigrator } = require('../db/migrator');
+const { createWebhookDispatcher } = require('../lib/webhooks');
+const { createApp } = require('../app');
+
+// A fresh, migrated in-memory SQLite database behind the real app, listening on a free port.
+// Messages the app sends are kept in `outbox`, webhook posts in `webhookPosts`.
+// Pass clock to pin the timestamps the routes write, logger to look at what gets logged (the
+// test profile logs nothing), and env for settings on top of the test profile of
+// lib/config.js, e.g. { METRICS_TOKEN: '...' }.
+const startTestServer = async ({ clock, env = {}, logger } = {}) => {
+    const config = loadConfig({
+        NODE_ENV: 'test',
+        MEDIA_DIR: path.join(os.tmpdir(), `raffapp-test-media-${process.pid}`),
+        ...env,
+    });
+    const appLogger = logger ?? createLogger({ level: config.logLevel });
+    const db = createDatabase(config.database);
+    await createMigrator(db).up();
+
+    const outbox = [];
+    const webhookPosts = [];
+    const app = createApp({
+        db,
+        config,
+        clock,
+        logger: appLogger,
+        notifier: { send: async (message) => outbox.push(message) },
+        webhookDispatcher: createWebhookDispatcher(db, {
+            ...config.webhooks,
+            logger: appLogger,
+            clock,
+            fetch: async (url, init) => {
+                webhookPosts.push({ url, ...init });
+                return new Response(null, { status: 204 });
+            },
+        }),
+    });
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Calls the API and reads the body as JSON when it is JSON, as text otherwise. A FormData
+    // body goes as multipart/form-data and a string as it is (set its Content-Type in headers);
+    // anything else goes as JSON.
+    const request = async (method, url, { token, body, headers = {} } = {}) => {
+        const isRaw = body instanceof FormData || typeof body === 'string';
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: {
+                ...(body !== undefined && !isRaw && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers,
+            },
+            body: body === undefined || isRaw ? body : JSON.stringify(body),
+        });
+        const text = await response.text();
+        const isJson = /json/.test(response.headers.get('content-type') ?? '');
+        return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+    };
+
+    // Add an account straight to the database, for roles nobody can register as
+    const createUser = async (username, password, role = 'customer') => {
+        const hashedPassword = await bcrypt.hash(password, 4);
+        await db.query('INSERT INTO users (username, password, role) VALUES ($1, $2, $3)', [username, hashedPassword, role]);
+    };
+
+    // Sign in and return the access token
+    const login = async (username, password) => {
+        const response = await request('POST', '/api/auth/login', { body: { username, password } });
+        if (response.status !== 200) {
+            throw new Error(`Login as ${username} failed with ${response.status}`);
+        }
+        return response.body.token;
+    };
+
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+        await app.locals.whenIdle();
+        await db.close();
+    };
+
+    return { app, db, baseUrl, outbox, webhookPosts, request, createUser, login, close };
+};
+
+module.exports = { startTestServer };
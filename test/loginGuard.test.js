@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+// A clock the tests move forward by hand
+const createClock = () => {
+    const clock = { time: new Date('2026-03-01T09:00:00.000Z'), now: () => clock.time };
+    clock.advance = (seconds) => {
+        clock.time = new Date(clock.time.getTime() + seconds * 1000);
+    };
+    return clock;
+};
+
+const login = (api, username, password) => api.request('POST', '/api/auth/login', { body: { username, password } });
+
+describe('login guard per username', () => {
+    const clock = createClock();
+    let api;
+    let adminToken;
+
+    before(async () => {
+        api = await startTestServer({ clock });
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('dana', 'dana-password');
+        adminToken = await api.login('admin', 'admin-password');
+    });
+
+    after(() => api.close());
+
+    it('delays repeated failures, saying how long in Retry-After', async () => {
+        for (let failure = 1; failure <= 3; failure += 1) {
+            assert.equal((await login(api, 'dana', 'wrong-password')).status, 401);
+        }
+
+        // Even the right password waits out the delay
+        const delayed = await login(api, 'dana', 'dana-password');
+        assert.equal(delayed.status, 429);
+        assert.equal(delayed.headers.get('retry-after'), '1');
+        assert.equal(delayed.body.retryAfter, 1);
+
+        clock.advance(1);
+        assert.equal((await login(api, 'dana', 'wrong-password')).status, 401);
+        const longer = await login(api, 'dana', 'wrong-password');
+        assert.equal(longer.status, 429);
+        assert.equal(longer.headers.get('retry-after'), '2');
+    });
+
+    it('locks the username out after LOGIN_MAX_FAILURES and audits it', async () => {
+        clock.advance(2);
+        assert.equal((await login(api, 'dana', 'wrong-password')).status, 401);
+
+        const locked = await login(api, 'dana', 'dana-password');
+        assert.equal(locked.status, 429);
+        assert.match(locked.body.detail, /temporarily locked/);
+        assert.equal(locked.headers.get('retry-after'), String(15 * 60));
+
+        const trail = await api.request('GET', '/api/admin/audit?action=auth.lockout', { token: adminToken });
+        assert.equal(trail.body.length, 1);
+        assert.equal(trail.body[0].target, 'username:dana');
+        assert.deepEqual(trail.body[0].details, { failures: 5, lockedForMinutes: 15 });
+    });
+
+    it('lets an admin list and clear the lockout', async () => {
+        const lockouts = await api.request('GET', '/api/admin/lockouts', { token: adminToken });
+        assert.equal(lockouts.status, 200);
+        assert.deepEqual(lockouts.body.map(({ scope, key }) => [scope, key]), [['username', 'dana']]);
+
+        const cleared = await api.request('DELETE', `/api/admin/lockouts/${lockouts.body[0].id}`, { token: adminToken });
+        assert.equal(cleared.status, 200);
+        assert.equal((await login(api, 'dana', 'dana-password')).status, 200);
+
+        const again = await api.request('DELETE', `/api/admin/lockouts/${lockouts.body[0].id}`, { token: adminToken });
+        assert.equal(again.status, 404);
+    });
+});
+
+describe('login guard per IP', () => {
+    const clock = createClock();
+    let api;
+    let adminToken;
+
+    before(async () => {
+        api = await startTestServer({ clock, env: { LOGIN_IP_MAX_FAILURES: '10' } });
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('frank', 'frank-password');
+        adminToken = await api.login('admin', 'admin-password');
+    });
+
+    after(() => api.close());
+
+    it('locks the IP out after LOGIN_IP_MAX_FAILURES, whichever usernames were tried', async () => {
+        for (let guess = 1; guess <= 10; guess += 1) {
+            assert.equal((await login(api, `guess-${guess}`, 'wrong-password')).status, 401);
+        }
+
+        const locked = await login(api, 'frank', 'frank-password');
+        assert.equal(locked.status, 429);
+        assert.match(locked.body.detail, /temporarily locked/);
+
+        const lockouts = await api.request('GET', '/api/admin/lockouts', { token: adminToken });
+        assert.deepEqual(lockouts.body.map(({ scope, key }) => [scope, key]), [['ip', '127.0.0.1']]);
+    });
+
+    it('lifts the lockout once the clock passes it', async () => {
+        clock.advance(15 * 60 - 1);
+        assert.equal((await login(api, 'frank', 'frank-password')).status, 429);
+
+        clock.advance(1);
+        assert.equal((await login(api, 'frank', 'frank-password')).status, 200);
+
+        const lockouts = await api.request('GET', '/api/admin/lockouts', { token: adminToken });
+        assert.deepEqual(lockouts.body, []);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createDatabase } = require('../db');
+const { createMigrator, loadMigrations } = require('../db/migrator');
+const baseline = require('../db/migrations/001_baseline');
+const unifyAccounts = require('../db/migrations/002_unify_accounts');
+
+describe('unifying accounts', () => {
+    let db;
+
+    afterEach(() => db.close());
+
+    it('only trusts admins from the admin table and demotes every self-chosen role', async () => {
+        db = createDatabase({ client: 'sqlite', filename: ':memory:' });
+        await baseline.up(db);
+        await db.query(`
+            INSERT INTO users (username, password, role) VALUES
+                ('carol', 'hash', 'customer'),
+                ('sneaky', 'hash', 'staff'),
+                ('bossy', 'hash', 'admin'),
+                ('odd', 'hash', 'superuser')
+        `);
+        await db.query("INSERT INTO admin (username, password) VALUES ('root', 'admin-hash')");
+
+        await unifyAccounts.up(db);
+
+        const { rows } = await db.query('SELECT username, role FROM users ORDER BY username');
+        assert.deepEqual(rows.map(({ username, role }) => [username, role]), [
+            ['bossy', 'customer'],
+            ['carol', 'customer'],
+            ['odd', 'customer'],
+            ['root', 'admin'],
+            ['sneaky', 'customer'],
+        ]);
+    });
+});
+
+describe('migrator', () => {
+    let db;
+    let migrator;
+    const latest = loadMigrations(path.join(__dirname, '..', 'db', 'migrations')).map((migration) => migration.version);
+
+    const appliedVersions = async () => (await migrator.status())
+        .filter((migration) => migration.applied)
+        .map((migration) => migration.version);
+
+    before(async () => {
+        db = createDatabase({ client: 'sqlite', filename: ':memory:' });
+        migrator = createMigrator(db);
+    });
+
+    after(() => db.close());
+
+    it('applies every migration once and reports them in status', async () => {
+        const applied = await migrator.up();
+        assert.deepEqual(applied.map((migration) => migration.version), latest);
+        assert.deepEqual(await appliedVersions(), latest);
+
+        assert.deepEqual(await migrator.up(), []);
+        assert.deepEqual(await migrator.pending(), []);
+    });
+
+    it('steps back with down and forward again with up', async () => {
+        const reverted = await migrator.down(2);
+        assert.deepEqual(reverted.map((migration) => migration.version), latest.slice(-2).reverse());
+        assert.deepEqual(await appliedVersions(), latest.slice(0, -2));
+        assert.deepEqual((await migrator.pending()).map((migration) => migration.version), latest.slice(-2));
+
+        const reapplied = await migrator.up();
+        assert.deepEqual(reapplied.map((migration) => migration.version), latest.slice(-2));
+    });
+
+    it('refuses to run while another process holds the lock', async () => {
+        await db.query('INSERT INTO schema_migrations_lock (id) VALUES (1)');
+
+        await assert.rejects(migrator.up(), /Migrations are locked by another process/);
+        await assert.rejects(migrator.down(), /Migrations are locked by another process/);
+        assert.deepEqual(await appliedVersions(), latest);
+
+        await migrator.unlock();
+        assert.deepEqual(await migrator.up(), []);
+    });
+});
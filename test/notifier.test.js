@@ -0,0 +1,22 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNotifier } = require('../lib/notifier');
+
+describe('outbox notifier', () => {
+    const outboxFile = path.join(os.tmpdir(), `raffapp-test-outbox-${process.pid}.log`);
+
+    after(() => fs.promises.rm(outboxFile, { force: true }));
+
+    it('appends each message with the time from the injected clock', async () => {
+        const sentAt = new Date('2026-03-01T09:30:00.000Z');
+        const notifier = createNotifier({ driver: 'outbox', outboxFile }, { now: () => sentAt });
+
+        await notifier.send({ to: 'dana', subject: 'Reset code', text: '123456' });
+
+        const [line] = fs.readFileSync(outboxFile, 'utf8').trim().split('\n');
+        assert.deepEqual(JSON.parse(line), { to: 'dana', subject: 'Reset code', text: '123456', sentAt: sentAt.toISOString() });
+    });
+});
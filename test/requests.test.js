@@ -0,0 +1,248 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('request routes', () => {
+    let api;
+    let adminToken;
+    let staffToken;
+    let customerToken;
+    let otherCustomerToken;
+    let serviceId;
+
+    const fileRequest = (token, quantity = 1, headers = {}) => api.request('POST', '/api/requests', {
+        token,
+        headers,
+        body: { items: [{ serviceId, quantity }] },
+    });
+
+    before(async () => {
+        api = await startTestServer();
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('sam', 'staff-password', 'staff');
+        await api.createUser('dana', 'dana-password');
+        await api.createUser('eli', 'eli-password');
+        adminToken = await api.login('admin', 'admin-password');
+        staffToken = await api.login('sam', 'staff-password');
+        customerToken = await api.login('dana', 'dana-password');
+        otherCustomerToken = await api.login('eli', 'eli-password');
+
+        await api.request('POST', '/api/categories', { token: adminToken, body: { name: 'Cleaning' } });
+        const service = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'cleaning', name: 'Carpet cleaner', price: 15 },
+        });
+        serviceId = service.body.service.id;
+    });
+
+    after(() => api.close());
+
+    it('files a request for the signed-in customer with priced items', async () => {
+        const response = await fileRequest(customerToken, 2);
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.request.username, 'dana');
+        assert.equal(response.body.request.status, 'Pending');
+        assert.equal(response.body.request.total, 30);
+    });
+
+    it('replays the first answer for a retried Idempotency-Key', async () => {
+        const headers = { 'Idempotency-Key': 'retry-me-0001' };
+        const first = await fileRequest(customerToken, 1, headers);
+        const retry = await fileRequest(customerToken, 1, headers);
+
+        assert.equal(retry.status, 201);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+        assert.equal(retry.body.request.id, first.body.request.id);
+    });
+
+    it('shows customers only their own requests', async () => {
+        await fileRequest(otherCustomerToken);
+
+        const own = await api.request('GET', '/api/requests', { token: otherCustomerToken });
+        assert.deepEqual([...new Set(own.body.map((request) => request.username))], ['eli']);
+
+        const all = await api.request('GET', '/api/requests', { token: staffToken });
+        assert.deepEqual([...new Set(all.body.map((request) => request.username))].sort(), ['dana', 'eli']);
+    });
+
+    it('moves a request through its statuses and keeps the history', async () => {
+        const { body } = await fileRequest(customerToken);
+        const { id } = body.request;
+
+        const approved = await api.request('PATCH', `/api/requests/${id}`, { token: staffToken, body: { status: 'Approved' } });
+        assert.equal(approved.status, 200);
+
+        // Approved requests cannot go back to Pending
+        const backwards = await api.request('PATCH', `/api/requests/${id}`, { token: staffToken, body: { status: 'Pending' } });
+        assert.equal(backwards.status, 409);
+
+        const history = await api.request('GET', `/api/requests/${id}/history`, { token: customerToken });
+        assert.deepEqual(history.body.map((change) => change.to_status), ['Pending', 'Approved']);
+
+        // Someone else's request looks missing
+        const hidden = await api.request('GET', `/api/requests/${id}/history`, { token: otherCustomerToken });
+        assert.equal(hidden.status, 404);
+    });
+
+    it('lets customers cancel their own pending requests only', async () => {
+        const { body } = await fileRequest(customerToken);
+        const { id } = body.request;
+
+        const byOther = await api.request('POST', `/api/requests/${id}/cancel`, { token: otherCustomerToken, body: {} });
+        assert.equal(byOther.status, 403);
+
+        const byOwner = await api.request('POST', `/api/requests/${id}/cancel`, { token: customerToken, body: {} });
+        assert.equal(byOwner.status, 200);
+        assert.equal(byOwner.body.request.status, 'Cancelled');
+    });
+
+    it('posts request events to subscribed webhooks', async () => {
+        const webhook = await api.request('POST', '/api/admin/webhooks', {
+            token: adminToken,
+            body: { url: 'https://hooks.example.com/raffapp', events: ['request.created'] },
+        });
+        assert.equal(webhook.status, 201);
+
+        await fileRequest(customerToken);
+        await api.app.locals.whenIdle();
+
+        const [post] = api.webhookPosts;
+        assert.equal(post.url, 'https://hooks.example.com/raffapp');
+        assert.equal(post.headers['X-Webhook-Event'], 'request.created');
+        assert.equal(JSON.parse(post.body).data.username, 'dana');
+    });
+});
+
+describe('request dates', () => {
+    const NOW = new Date('2024-05-01T10:00:00.000Z');
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ clock: { now: () => NOW } });
+    });
+
+    after(() => api.close());
+
+    it('dates a new request and its first history entry by the injected clock', async () => {
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('dana', 'dana-password');
+        const adminToken = await api.login('admin', 'admin-password');
+        const customerToken = await api.login('dana', 'dana-password');
+        await api.request('POST', '/api/categories', { token: adminToken, body: { name: 'Cleaning' } });
+        const service = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'cleaning', name: 'Window wash', price: 20 },
+        });
+
+        const { body } = await api.request('POST', '/api/requests', {
+            token: customerToken,
+            body: { items: [{ serviceId: service.body.service.id, quantity: 1 }] },
+        });
+        assert.equal(body.request.request_date, NOW.toISOString());
+
+        const history = await api.request('GET', `/api/requests/${body.request.id}/history`, { token: customerToken });
+        assert.equal(history.body[0].created_at, NOW.toISOString());
+    });
+});
+
+describe('request event streams', () => {
+    let api;
+    let adminToken;
+    let danaToken;
+    let eliToken;
+    let serviceId;
+    const streams = [];
+
+    const fileRequest = async (token) => {
+        const { body } = await api.request('POST', '/api/requests', { token, body: { items: [{ serviceId, quantity: 1 }] } });
+        await api.app.locals.whenIdle();
+        return body.request;
+    };
+
+    // Opens an event stream and returns next(count), which resolves to the next count events
+    const openStream = async (url, token, lastEventId) => {
+        const controller = new AbortController();
+        streams.push(controller);
+        const response = await fetch(`${api.baseUrl}${url}`, {
+            headers: { Authorization: `Bearer ${token}`, ...(lastEventId !== undefined && { 'Last-Event-ID': String(lastEventId) }) },
+            signal: controller.signal,
+        });
+        assert.equal(response.status, 200);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+        const next = async (count) => {
+            const events = [];
+            while (events.length < count) {
+                const blocks = buffered.split('\n\n');
+                buffered = blocks.pop();
+                for (const block of blocks) {
+                    // "name: value" lines; the retry line and heartbeats carry no id
+                    const fields = Object.fromEntries(block.split('\n').map((line) => line.split(/: (.*)/s)));
+                    if (fields.id) {
+                        events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+                    }
+                }
+                if (events.length < count) {
+                    const { value, done } = await reader.read();
+                    assert.ok(!done, 'the stream ended early');
+                    buffered += decoder.decode(value, { stream: true });
+                }
+            }
+            return events;
+        };
+        return { next };
+    };
+
+    const requestIds = (events) => events.map((event) => event.data.id ?? event.data.request.id);
+
+    before(async () => {
+        api = await startTestServer();
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('dana', 'dana-password');
+        await api.createUser('eli', 'eli-password');
+        adminToken = await api.login('admin', 'admin-password');
+        danaToken = await api.login('dana', 'dana-password');
+        eliToken = await api.login('eli', 'eli-password');
+
+        await api.request('POST', '/api/categories', { token: adminToken, body: { name: 'Cleaning' } });
+        const service = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'cleaning', name: 'Carpet cleaner', price: 15 },
+        });
+        serviceId = service.body.service.id;
+    });
+
+    after(() => {
+        streams.forEach((controller) => controller.abort());
+        return api.close();
+    });
+
+    it('resumes after Last-Event-ID with what was missed', async () => {
+        const first = await fileRequest(danaToken);
+        const second = await fileRequest(eliToken);
+        const third = await fileRequest(danaToken);
+
+        const everything = await openStream('/api/admin/events', adminToken, 0);
+        const all = await everything.next(3);
+        assert.deepEqual(requestIds(all), [first.id, second.id, third.id]);
+
+        const resumed = await openStream('/api/admin/events', adminToken, all[0].id);
+        assert.deepEqual(requestIds(await resumed.next(2)), [second.id, third.id]);
+    });
+
+    it('only shows customers events about their own requests', async () => {
+        const replay = await openStream('/api/events', danaToken, 0);
+        const replayed = await replay.next(2);
+        assert.ok(replayed.every((event) => event.data.username === 'dana'));
+
+        // Live events too: eli's request is skipped, dana's next one arrives
+        await fileRequest(eliToken);
+        const own = await fileRequest(danaToken);
+        const [live] = await replay.next(1);
+        assert.equal(live.type, 'request.created');
+        assert.equal(live.data.id, own.id);
+    });
+});
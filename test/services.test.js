@@ -0,0 +1,287 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+const NOW = new Date('2026-03-01T09:30:00.000Z');
+
+describe('catalog routes', () => {
+    let api;
+    let adminToken;
+    let customerToken;
+
+    before(async () => {
+        api = await startTestServer({ clock: { now: () => NOW } });
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('carol', 'carol-password');
+        adminToken = await api.login('admin', 'admin-password');
+        customerToken = await api.login('carol', 'carol-password');
+    });
+
+    after(() => api.close());
+
+    it('adds a category and a service stamped with the injected clock', async () => {
+        const category = await api.request('POST', '/api/categories', { token: adminToken, body: { name: 'Garden Tools' } });
+        assert.equal(category.status, 201);
+        assert.equal(category.body.category.slug, 'garden-tools');
+
+        const service = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'garden-tools', name: 'Lawn mower', price: 25 },
+        });
+        assert.equal(service.status, 201);
+        assert.equal(service.body.service.sku, `SVC-${service.body.service.id}`);
+        assert.equal(service.body.service.created_at, NOW.toISOString());
+    });
+
+    it('writes the injected time everywhere, not just in the routes', async () => {
+        const { body } = await api.request('GET', '/api/services?category=garden-tools');
+        const [service] = body;
+
+        const updated = await api.request('PATCH', `/api/services/${service.id}`, { token: adminToken, body: { price: 30 } });
+        assert.equal(updated.body.service.updated_at, NOW.toISOString());
+
+        const stocked = await api.request('POST', `/api/services/${service.id}/stock-adjustments`, {
+            token: adminToken,
+            body: { adjustment: 3, reason: 'Counted the shed' },
+        });
+        assert.equal(stocked.body.service.updated_at, NOW.toISOString());
+
+        await api.app.locals.whenIdle();
+        const audit = await api.request('GET', '/api/admin/audit', { token: adminToken });
+        assert.ok(audit.body.length > 0);
+        assert.ok(audit.body.every((entry) => entry.created_at === NOW.toISOString()));
+    });
+
+    it('lists services by category, subcategories included', async () => {
+        const parent = await api.request('GET', '/api/categories/garden-tools');
+        const child = await api.request('POST', '/api/categories', {
+            token: adminToken,
+            body: { name: 'Hedge Trimmers', parentId: parent.body.id },
+        });
+        await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { categoryId: child.body.category.id, name: 'Electric trimmer', price: 12 },
+        });
+
+        const response = await api.request('GET', '/api/services?category=garden-tools&sort=price');
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.map((service) => service.name), ['Electric trimmer', 'Lawn mower']);
+    });
+
+    it('keeps customers from changing the catalog', async () => {
+        const response = await api.request('POST', '/api/services', {
+            token: customerToken,
+            body: { category: 'garden-tools', name: 'Shears', price: 3 },
+        });
+
+        assert.equal(response.status, 403);
+    });
+
+    it('refuses a negative price', async () => {
+        const response = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'garden-tools', name: 'Rake', price: -1 },
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].field, 'price');
+    });
+
+    it('keeps SVC- skus for the services it numbers', async () => {
+        const taken = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'garden-tools', sku: 'svc-1000', name: 'Hoe' },
+        });
+        assert.equal(taken.status, 400);
+
+        const imported = await api.request('POST', '/api/services/import?dryRun=false', {
+            token: adminToken,
+            body: [{ sku: 'SVC-1000', name: 'Hoe', category: 'garden-tools' }],
+        });
+        assert.equal(imported.status, 422);
+        assert.equal(imported.body.errors[0].field, 'sku');
+
+        // An export still imports as it is
+        const exported = await api.request('GET', '/api/services/export', { token: adminToken });
+        const reimported = await api.request('POST', '/api/services/import?dryRun=false', { token: adminToken, body: exported.body });
+        assert.equal(reimported.status, 200);
+        assert.equal(reimported.body.summary.unchanged, exported.body.length);
+
+        const numbered = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'garden-tools', name: 'Hoe' },
+        });
+        const { id } = numbered.body.service;
+        const renamed = await api.request('PATCH', `/api/services/${id}`, { token: adminToken, body: { sku: `SVC-${id + 1}` } });
+        assert.equal(renamed.status, 400);
+        const kept = await api.request('PATCH', `/api/services/${id}`, { token: adminToken, body: { sku: `SVC-${id}` } });
+        assert.equal(kept.status, 200);
+    });
+
+    it('hides deleted services', async () => {
+        const created = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'garden-tools', name: 'Leaf blower', price: 8 },
+        });
+        const { id } = created.body.service;
+
+        const deleted = await api.request('DELETE', `/api/services/${id}`, { token: adminToken });
+        assert.equal(deleted.status, 200);
+
+        const fetched = await api.request('GET', `/api/services/${id}`);
+        assert.equal(fetched.status, 404);
+    });
+
+    it('exports the catalog as CSV', async () => {
+        const response = await api.request('GET', '/api/services/export?format=csv', { token: adminToken });
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-disposition'), /services-2026-03-01\.csv/);
+        assert.match(response.body, /Lawn mower/);
+        assert.doesNotMatch(response.body, /Leaf blower/);
+    });
+});
+
+describe('service images', () => {
+    const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('first image')]);
+    const GIF = Buffer.concat([Buffer.from('GIF89a'), Buffer.from('second image')]);
+    let api;
+    let adminToken;
+    let serviceId;
+
+    const imageForm = (bytes, type, filename = 'picture') => {
+        const form = new FormData();
+        form.append('image', new Blob([bytes], { type }), filename);
+        return form;
+    };
+    const upload = (form) => api.request('POST', `/api/services/${serviceId}/image`, { token: adminToken, body: form });
+    const storedFiles = async () => {
+        const { rows } = await api.db.query('SELECT storage_key FROM media WHERE service_id = $1', [serviceId]);
+        return rows.map((row) => path.join(api.app.locals.config.media.directory, row.storage_key));
+    };
+
+    before(async () => {
+        api = await startTestServer({ env: { MEDIA_MAX_BYTES: '1024' } });
+        await api.createUser('admin', 'admin-password', 'admin');
+        adminToken = await api.login('admin', 'admin-password');
+        await api.request('POST', '/api/categories', { token: adminToken, body: { name: 'Tools' } });
+        const created = await api.request('POST', '/api/services', { token: adminToken, body: { category: 'tools', name: 'Drill', price: 12 } });
+        serviceId = created.body.service.id;
+    });
+
+    after(() => api.close());
+
+    it('refuses a file whose bytes are not the image it claims to be', async () => {
+        const response = await upload(imageForm(Buffer.from('<script>alert(1)</script>'), 'image/png', 'fake.png'));
+
+        assert.equal(response.status, 415);
+        assert.deepEqual(await storedFiles(), []);
+    });
+
+    it('refuses an image over MEDIA_MAX_BYTES', async () => {
+        const response = await upload(imageForm(Buffer.concat([PNG, Buffer.alloc(1024)]), 'image/png'));
+
+        assert.equal(response.status, 413);
+        assert.match(response.body.detail, /at most 1024 bytes/);
+    });
+
+    it('serves an upload with its sniffed type, cache headers and nosniff', async () => {
+        const uploaded = await upload(imageForm(PNG, 'application/octet-stream'));
+        assert.equal(uploaded.status, 201);
+
+        const response = await fetch(`${api.baseUrl}${uploaded.body.service.imageurl}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'image/png');
+        assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+        assert.equal(response.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), PNG);
+
+        const etag = response.headers.get('etag');
+        const revalidated = await fetch(`${api.baseUrl}${uploaded.body.service.imageurl}`, { headers: { 'If-None-Match': etag } });
+        assert.equal(revalidated.status, 304);
+    });
+
+    it('replaces the earlier image and removes its file', async () => {
+        const [oldFile] = await storedFiles();
+        const oldUrl = (await api.request('GET', `/api/services/${serviceId}`)).body.imageurl;
+
+        const replaced = await upload(imageForm(GIF, 'image/gif'));
+        assert.equal(replaced.status, 201);
+        assert.notEqual(replaced.body.service.imageurl, oldUrl);
+
+        assert.equal(fs.existsSync(oldFile), false);
+        assert.equal((await api.request('GET', oldUrl)).status, 404);
+        const [newFile] = await storedFiles();
+        assert.deepEqual(fs.readFileSync(newFile), GIF);
+    });
+
+    it('removes the media when the service is deleted', async () => {
+        const [file] = await storedFiles();
+        const { imageurl } = (await api.request('GET', `/api/services/${serviceId}`)).body;
+
+        await api.request('DELETE', `/api/services/${serviceId}`, { token: adminToken });
+
+        assert.equal(fs.existsSync(file), false);
+        assert.deepEqual(await storedFiles(), []);
+        assert.equal((await api.request('GET', imageurl)).status, 404);
+    });
+});
+
+describe('catalog import', () => {
+    let api;
+    let adminToken;
+
+    const importRows = (body, query = '', headers = {}) => api.request('POST', `/api/services/import${query}`, { token: adminToken, body, headers });
+    const serviceNames = async () => (await api.request('GET', '/api/services')).body.map((service) => service.name).sort();
+
+    before(async () => {
+        api = await startTestServer();
+        await api.createUser('admin', 'admin-password', 'admin');
+        adminToken = await api.login('admin', 'admin-password');
+        await api.request('POST', '/api/categories', { token: adminToken, body: { name: 'Tools' } });
+    });
+
+    after(() => api.close());
+
+    it('only checks the rows unless dryRun=false', async () => {
+        const response = await importRows([
+            { sku: 'DRILL-1', name: 'Drill', category: 'tools', price: 12 },
+            { sku: 'SAW-1', name: 'Saw', category: 'tools' },
+        ]);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.applied, false);
+        assert.equal(response.body.summary.created, 2);
+        assert.deepEqual(await serviceNames(), []);
+    });
+
+    it('writes nothing when any row has errors', async () => {
+        const response = await importRows([
+            { sku: 'DRILL-1', name: 'Drill', category: 'tools', price: 12 },
+            { sku: 'SAW-1', name: 'Saw', category: 'no-such-category' },
+            { sku: 'HAMMER-1', name: 'Hammer', category: 'tools', price: -3 },
+        ], '?dryRun=false');
+
+        assert.equal(response.status, 422);
+        assert.equal(response.body.applied, false);
+        assert.equal(response.body.summary.invalid, 2);
+        assert.deepEqual(await serviceNames(), []);
+    });
+
+    it('imports a CSV upload', async () => {
+        const csv = 'sku,name,category,price\nDRILL-1,Drill,tools,12.5\nSAW-1,"Saw, hand",Tools,\n';
+        const response = await importRows(csv, '?dryRun=false', { 'Content-Type': 'text/csv' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.applied, true);
+        assert.equal(response.body.summary.created, 2);
+
+        const services = (await api.request('GET', '/api/services')).body;
+        assert.deepEqual(services.map(({ sku, name, price }) => [sku, name, price]).sort(), [
+            ['DRILL-1', 'Drill', 12.5],
+            ['SAW-1', 'Saw, hand', null],
+        ]);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('stock reservations', () => {
+    let api;
+    let adminToken;
+    let staffToken;
+    let customerTokens;
+    let serviceId;
+
+    const fileRequest = (token, quantity = 1) => api.request('POST', '/api/requests', {
+        token,
+        body: { items: [{ serviceId, quantity }] },
+    });
+
+    const stock = async () => {
+        const { body } = await api.request('GET', `/api/services/${serviceId}`);
+        return { onHand: body.stock_on_hand, reserved: body.stock_reserved };
+    };
+
+    const setStatus = (id, status) => api.request('PATCH', `/api/requests/${id}`, { token: staffToken, body: { status } });
+
+    before(async () => {
+        api = await startTestServer();
+        await api.createUser('admin', 'admin-password', 'admin');
+        await api.createUser('sam', 'staff-password', 'staff');
+        adminToken = await api.login('admin', 'admin-password');
+        staffToken = await api.login('sam', 'staff-password');
+
+        customerTokens = [];
+        for (const username of ['kim', 'lee', 'max', 'noa']) {
+            await api.createUser(username, `${username}-password`);
+            customerTokens.push(await api.login(username, `${username}-password`));
+        }
+
+        await api.request('POST', '/api/categories', { token: adminToken, body: { name: 'Rentals' } });
+        const service = await api.request('POST', '/api/services', {
+            token: adminToken,
+            body: { category: 'rentals', name: 'Pressure washer', price: 40 },
+        });
+        serviceId = service.body.service.id;
+
+        const adjusted = await api.request('POST', `/api/services/${serviceId}/stock-adjustments`, {
+            token: adminToken,
+            body: { adjustment: 5, reason: 'Delivery from supplier' },
+        });
+        assert.equal(adjusted.status, 200);
+    });
+
+    after(() => api.close());
+
+    it('never oversells when orders arrive at the same time', async () => {
+        const responses = await Promise.all(Array.from({ length: 12 }, (_, i) => fileRequest(customerTokens[i % customerTokens.length])));
+        const statuses = responses.map((response) => response.status);
+
+        assert.equal(statuses.filter((status) => status === 201).length, 5);
+        assert.equal(statuses.filter((status) => status === 409).length, 7);
+        assert.deepEqual(await stock(), { onHand: 5, reserved: 5 });
+
+        const refused = responses.find((response) => response.status === 409);
+        assert.match(refused.body.detail, /Not enough stock for Pressure washer: 0 available, 1 requested/);
+    });
+
+    it('releases the reservation when a request is cancelled or rejected', async () => {
+        const { body } = await api.request('GET', '/api/requests', { token: staffToken });
+        const [first, second] = body.filter((request) => request.status === 'Pending');
+
+        const cancelled = await api.request('POST', `/api/requests/${first.id}/cancel`, { token: customerTokens[0], body: {} });
+        assert.equal(cancelled.status, 200);
+        assert.deepEqual(await stock(), { onHand: 5, reserved: 4 });
+
+        const rejected = await setStatus(second.id, 'Rejected');
+        assert.equal(rejected.status, 200);
+        assert.deepEqual(await stock(), { onHand: 5, reserved: 3 });
+
+        // What was released can be ordered again, but no more
+        assert.equal((await fileRequest(customerTokens[1], 3)).status, 409);
+        assert.equal((await fileRequest(customerTokens[1], 2)).status, 201);
+        assert.deepEqual(await stock(), { onHand: 5, reserved: 5 });
+    });
+
+    it('takes dispatched stock off the shelf', async () => {
+        const { body } = await api.request('GET', '/api/requests', { token: staffToken });
+        const pending = body.find((request) => request.status === 'Pending');
+
+        assert.equal((await setStatus(pending.id, 'Approved')).status, 200);
+        assert.deepEqual(await stock(), { onHand: 5, reserved: 5 });
+
+        assert.equal((await setStatus(pending.id, 'Dispatched')).status, 200);
+        assert.deepEqual(await stock(), { onHand: 4, reserved: 4 });
+
+        // Dispatched stock is gone for good, so cancelling is no longer possible either
+        assert.equal((await setStatus(pending.id, 'Cancelled')).status, 409);
+        assert.deepEqual(await stock(), { onHand: 4, reserved: 4 });
+    });
+
+    it('keeps adjustments from taking stock below what is reserved', async () => {
+        const response = await api.request('POST', `/api/services/${serviceId}/stock-adjustments`, {
+            token: adminToken,
+            body: { adjustment: -1, reason: 'Damaged' },
+        });
+
+        assert.equal(response.status, 409);
+        assert.deepEqual(await stock(), { onHand: 4, reserved: 4 });
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { base32Encode, base32Decode, generateTotp, verifyTotp, provisioningUri } = require('../lib/totp');
+
+// RFC 6238 appendix B, SHA-1: the ASCII key "12345678901234567890". The RFC lists 8 digit
+// codes; with 6 digits they are the last six.
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+];
+
+describe('totp', () => {
+    it('encodes base32 both ways', () => {
+        assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString(), '12345678901234567890');
+    });
+
+    it('generates the RFC 6238 test vectors', () => {
+        for (const [seconds, code] of VECTORS) {
+            assert.equal(generateTotp(SECRET, seconds * 1000), code, `at ${seconds}s`);
+        }
+    });
+
+    it('accepts a code one step either side and returns its step', () => {
+        const time = 1111111111 * 1000;
+
+        assert.equal(verifyTotp(SECRET, '050471', { time }), 37037037);
+        assert.equal(verifyTotp(SECRET, generateTotp(SECRET, time - 30000), { time }), 37037036);
+        assert.equal(verifyTotp(SECRET, generateTotp(SECRET, time + 30000), { time }), 37037038);
+        assert.equal(verifyTotp(SECRET, generateTotp(SECRET, time + 60000), { time }), null);
+    });
+
+    it('refuses replays and malformed codes', () => {
+        const time = 1111111111 * 1000;
+
+        assert.equal(verifyTotp(SECRET, '050471', { time, afterStep: 37037037 }), null);
+        assert.equal(verifyTotp(SECRET, '50471', { time }), null);
+        assert.equal(verifyTotp(SECRET, 'abcdef', { time }), null);
+    });
+
+    it('builds an otpauth URI for authenticator apps', () => {
+        const uri = new URL(provisioningUri({ secret: SECRET, accountName: 'ada@example.com', issuer: 'RaffApp' }));
+
+        assert.equal(uri.protocol, 'otpauth:');
+        assert.equal(uri.host, 'totp');
+        assert.equal(decodeURIComponent(uri.pathname), '/RaffApp:ada@example.com');
+        assert.equal(uri.searchParams.get('secret'), SECRET);
+        assert.equal(uri.searchParams.get('digits'), '6');
+    });
+});